@@ -16,6 +16,7 @@ const MAX_BUNDLE_SIZE = 500 * 1024; // 500KB target
 const FILES_TO_ANALYZE = [
   'index.html',
   'scripts/perf.js',
+  'scripts/engine.js',
   'scripts/a11y.js',
   'scripts/colors.js',
   'scripts/ui.js',
@@ -4,6 +4,7 @@
  *
  * Features:
  * - Keyboard shortcuts menu (?)
+ * - Undo/redo for substitution plan changes (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y)
  * - ARIA live announcements
  * - High contrast mode
  * - Enhanced focus management
@@ -30,6 +31,9 @@
 		'k': { action: 'toggleHighContrast', description: 'Toggle high contrast mode' },
 		'Escape': { action: 'closeModal', description: 'Close open modal/menu' },
 		'/': { action: 'focusSearch', description: 'Focus search (if available)' },
+		'Ctrl+Z': { action: 'undoSubstitutionChange', description: 'Undo the last substitution plan change (Substitution view)' },
+		'Ctrl+Shift+Z': { action: 'redoSubstitutionChange', description: 'Redo a substitution plan change (Substitution view)' },
+		'Ctrl+Y': { action: 'redoSubstitutionChange', description: 'Redo a substitution plan change (Substitution view)' },
 	};
 
 	// State
@@ -321,9 +325,50 @@
 				searchInput.focus();
 				announce('Search focused');
 			}
+		},
+
+		// The app's snackbar already announces what was undone or redone. Only the Substitution view shows the
+		// plan being restored, so elsewhere the keys do nothing.
+		undoSubstitutionChange() {
+			if (isSubstitutionViewOpen() && typeof window.undoSubstitutionChange === 'function') {
+				window.undoSubstitutionChange();
+			}
+		},
+
+		redoSubstitutionChange() {
+			if (isSubstitutionViewOpen() && typeof window.redoSubstitutionChange === 'function') {
+				window.redoSubstitutionChange();
+			}
 		}
 	};
 
+	/**
+	 * Whether the Substitution view is the one on screen
+	 * @returns {boolean}
+	 */
+	function isSubstitutionViewOpen() {
+		return Boolean(document.getElementById('nav-Substitution')?.classList.contains('active'));
+	}
+
+	/**
+	 * Name a key press the way KEYBOARD_SHORTCUTS does, e.g. 'Ctrl+Shift+Z'.
+	 * Cmd counts as Ctrl; Shift is only named alongside Ctrl so that '?' still matches.
+	 * @param {KeyboardEvent} e - The keyboard event
+	 * @returns {string|null} Null for Alt combinations, which are left to the browser
+	 */
+	function getShortcutKey(e) {
+		if (e.altKey) {
+			return null;
+		}
+
+		if (!e.ctrlKey && !e.metaKey) {
+			return e.key;
+		}
+
+		const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+		return `Ctrl+${e.shiftKey ? 'Shift+' : ''}${key}`;
+	}
+
 	/**
 	 * Handle keyboard shortcuts
 	 * @param {KeyboardEvent} e - The keyboard event
@@ -334,8 +379,8 @@
 			return;
 		}
 
-		// Get the key
-		const key = e.key;
+		// Get the key, with any Ctrl/Cmd modifier
+		const key = getShortcutKey(e);
 
 		// Check if this key has an action
 		const shortcut = KEYBOARD_SHORTCUTS[key];
@@ -0,0 +1,3318 @@
+/**
+ * Timetable Engine
+ * Veer Patta Public School Timetable Command Center
+ *
+ * Features:
+ * - CSV/JSON timetable parsing with line-and-column diagnostics
+ * - Timetable validation, seasonal timing profiles, the academic calendar and declarative override rules
+ * - One-off date overrides layered over the weekly timetable
+ * - Free-teacher scoring and substitution planning by per-period matching, with the first-pick plan for comparison
+ * - Partial-day absences limited to a period or time window, and leave over date ranges
+ * - Scoring settings: factor weights, per-teacher reliability, subject families, load caps and fair sharing
+ * - Teacher availability rules with per-weekday windows and dated exceptions
+ * - A ledger of saved substitutions and a monthly coverage report
+ * - No DOM access: every function takes the parsed data explicitly
+ *
+ * Exposed as window.TimetableEngine in the browser and module.exports in Node
+ */
+
+(function(global) {
+	'use strict';
+
+	// Parsing and scoring report progress through this; Node tools can swap in a quieter logger
+	let logger = console;
+
+	/**
+	 * Replace the logger used for progress and error output
+	 * @param {Object} [nextLogger] - Object with log/info/warn/error methods; omit to restore console
+	 */
+	function setLogger(nextLogger) {
+		logger = nextLogger || console;
+	}
+
+	// ============================================
+	// CSV AND DATA FILES
+	// ============================================
+
+	// --- CSV TOKENIZER (RFC 4180) ---
+	// Splits text into records of fields. Handles quoted fields, doubled quotes ("") and commas or
+	// line breaks inside quotes. Blank lines and unquoted lines starting with '#' are skipped.
+	// options.withLines returns { fields, line } records with the 1-based source line of each record;
+	// options.onError(message, line) receives malformed-input reports.
+	function tokenizeCsv(text, options = {}) {
+		const input = String(text ?? '');
+		const records = [];
+		const reportError = options.onError || ((message, line) => logger.warn(`CSV line ${line}: ${message}`));
+		let record = [];
+		let field = '';
+		let inQuotes = false;
+		let quoted = false;
+		let line = 1;
+		let recordLine = 1;
+		let quoteLine = 1;
+
+		const endField = () => {
+			record.push(field);
+			field = '';
+			quoted = false;
+		};
+
+		const endRecord = () => {
+			endField();
+			if (record.some(value => value.trim() !== '')) {
+				records.push(options.withLines ? { fields: record, line: recordLine } : record);
+			}
+			record = [];
+		};
+
+		for (let i = 0; i < input.length; i++) {
+			const char = input[i];
+
+			if (inQuotes) {
+				if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+
+				if (char !== '"') {
+					field += char;
+				} else if (input[i + 1] === '"') {
+					field += '"';
+					i++;
+				} else {
+					inQuotes = false;
+				}
+				continue;
+			}
+
+			// Leading spaces before an opening quote are tolerated for hand-edited files
+			if (char === '"' && !quoted && field.trim() === '') {
+				field = '';
+				inQuotes = true;
+				quoted = true;
+				quoteLine = line;
+				continue;
+			}
+
+			if (char === '#' && record.length === 0 && !quoted && field.trim() === '') {
+				while (i + 1 < input.length && input[i + 1] !== '\n' && input[i + 1] !== '\r') i++;
+				field = '';
+				continue;
+			}
+
+			if (char === ',') {
+				endField();
+			} else if (char === '\r' || char === '\n') {
+				if (char === '\r' && input[i + 1] === '\n') i++;
+				endRecord();
+				line++;
+				recordLine = line;
+			} else {
+				field += char;
+			}
+		}
+
+		if (inQuotes) {
+			reportError('Quoted field is never closed; everything after this quote was read as one cell', quoteLine);
+		}
+		if (field !== '' || quoted || record.length > 0) {
+			endRecord();
+		}
+
+		return records;
+	}
+
+	function formatCsvField(value) {
+		const text = String(value ?? '');
+		return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) || text.startsWith('#')
+			? `"${text.replace(/"/g, '""')}"`
+			: text;
+	}
+
+	function formatCsvRows(rows) {
+		return rows.map(row => row.map(formatCsvField).join(',')).join('\r\n');
+	}
+
+	// CSV files carry their stamp in leading comment lines: "# version: 2026-27.1", "# updated: 2026-10-19".
+	function readTimetableMetadata(text) {
+		const metadata = {};
+		String(text || '').split(/\r\n|\r|\n/).forEach(line => {
+			const match = line.trim().match(/^#\s*([\w-]+)\s*:\s*(.+)$/);
+			if (match) {
+				metadata[match[1].toLowerCase()] = match[2].trim();
+			}
+		});
+		return metadata;
+	}
+
+	// JSON files use { version, updated, days: { Monday: [[header cells], [class cells], ...] } }
+	function convertTimetableJsonToText(json) {
+		if (!json || typeof json.days !== 'object' || json.days === null) {
+			throw new Error('Timetable JSON must contain a "days" object');
+		}
+
+		const lines = [];
+		Object.entries(json.days).forEach(([day, rows]) => {
+			lines.push(day);
+			(rows || []).forEach(row => lines.push(formatCsvRows([row])));
+		});
+		return lines.join('\n');
+	}
+
+	// ============================================
+	// STAFF ROSTER
+	// ============================================
+
+	// The roster lists the people the timetable names: { name, aliases, role, substitutes, qualifiedSubjects }.
+	// name is how the app shows them; aliases are other spellings the data file uses, read as name when parsing.
+	// role is one of STAFF_ROLES. substitutes: false keeps someone out of every cover list, and qualifiedSubjects
+	// are subjects they can cover beyond the ones they teach. Staff without lessons are still listed, so a
+	// coordinator can be given cover. A timetable parsed without a roster keeps every name as written.
+	const STAFF_ROLES = ['teacher', 'coordinator', 'sports', 'lab assistant'];
+
+	/**
+	 * Check the shape of a staff roster from a file
+	 * @param {Object|Array<Object>} config - { staff: [...] } as in data/timetable-staff.json, or the list itself
+	 * @returns {Array<Object>} Valid entries sorted by name. Names and aliases match without case; one already
+	 *   taken is skipped with a warning, and an unknown role is read as 'teacher'.
+	 */
+	function normalizeStaffRoster(config) {
+		const entries = Array.isArray(config) ? config : (Array.isArray(config?.staff) ? config.staff : []);
+		const owners = new Map();
+		const roster = [];
+
+		entries.forEach((entry, index) => {
+			const name = String(entry?.name || '').trim();
+			if (!name) {
+				logger.warn(`Staff entry ${index + 1} needs a name; skipped`);
+				return;
+			}
+			if (owners.has(name.toLowerCase())) {
+				logger.warn(`Staff name "${name}" is already used by ${owners.get(name.toLowerCase())}; skipped`);
+				return;
+			}
+			owners.set(name.toLowerCase(), name);
+
+			const aliases = [];
+			(Array.isArray(entry.aliases) ? entry.aliases : []).forEach(alias => {
+				const spelling = String(alias ?? '').trim();
+				if (!spelling) return;
+				const owner = owners.get(spelling.toLowerCase());
+				if (owner) {
+					if (owner !== name) logger.warn(`Alias "${spelling}" for ${name} is already used by ${owner}; skipped`);
+					return;
+				}
+				owners.set(spelling.toLowerCase(), name);
+				aliases.push(spelling);
+			});
+
+			let role = String(entry.role || 'teacher').trim().toLowerCase();
+			if (!STAFF_ROLES.includes(role)) {
+				logger.warn(`Staff "${name}" has an unknown role "${entry.role}"; read as teacher`);
+				role = 'teacher';
+			}
+
+			roster.push({
+				name,
+				aliases,
+				role,
+				substitutes: entry.substitutes !== false,
+				qualifiedSubjects: [...new Set((Array.isArray(entry.qualifiedSubjects) ? entry.qualifiedSubjects : [])
+					.map(subject => String(subject ?? '').trim())
+					.filter(Boolean))]
+			});
+		});
+
+		return roster.sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	// The roster name for a spelling in the data file, or the spelling itself when nobody on the roster uses it
+	function resolveStaffName(roster, name) {
+		const spelling = String(name || '').trim().toLowerCase();
+		const member = (roster || []).find(entry => (
+			entry.name.toLowerCase() === spelling ||
+			entry.aliases.some(alias => alias.toLowerCase() === spelling)
+		));
+		return member ? member.name : name;
+	}
+
+	function getStaffMember(data, teacher) {
+		return (data?.staffRoster || []).find(entry => entry.name === teacher) || null;
+	}
+
+	// Teachers missing from the roster can substitute, as they did before there was one
+	function isEligibleForSubstitution(data, teacher) {
+		return getStaffMember(data, teacher)?.substitutes !== false;
+	}
+
+	// Titles the data file puts around a name, e.g. 'Rakesh Sir' or 'Mrs. Bindu'
+	const TEACHER_TITLES = /\b(?:Sir|Madam|Ma'?am|Mam|Mrs|Mr|Ms|Dr)\b\.?/gi;
+
+	// A teacher field without titles or doubled spaces, before it is split into names
+	function normalizeTeacherSpelling(teacherField) {
+		return String(teacherField || '').replace(TEACHER_TITLES, ' ').replace(/\s+/g, ' ').trim();
+	}
+
+	function getEditDistance(a, b) {
+		let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+		for (let i = 1; i <= a.length; i++) {
+			const current = [i];
+			for (let j = 1; j <= b.length; j++) {
+				current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+			}
+			previous = current;
+		}
+		return previous[b.length];
+	}
+
+	/**
+	 * Find the known name a spelling is probably a variant of
+	 * @param {string} name - Spelling from the data file
+	 * @param {Array<string>} knownNames - Names to compare against; the spelling itself is skipped
+	 * @returns {string|null} The closest name within one letter (two when both have seven or more), ignoring
+	 *   case, spaces and dots, so 'Nindika' finds 'Nidhika' but 'Prakash' does not find 'Rakesh'
+	 */
+	function findNearDuplicateName(name, knownNames) {
+		const key = spelling => String(spelling || '').toLowerCase().replace(/[^a-z]/g, '');
+		const nameKey = key(name);
+		let closest = null;
+		let closestDistance = Infinity;
+		(knownNames || []).forEach(known => {
+			if (known === name) return;
+			const knownKey = key(known);
+			const distance = getEditDistance(nameKey, knownKey);
+			const limit = Math.min(nameKey.length, knownKey.length) >= 7 ? 2 : 1;
+			if (distance <= limit && distance < closestDistance) {
+				closest = known;
+				closestDistance = distance;
+			}
+		});
+		return closest;
+	}
+
+	// ============================================
+	// PARSING
+	// ============================================
+
+	// A group period is one activity for several classes with several teachers at once, such as ELGA. The
+	// data file marks each class's cell: 'Group: ELGA (Bindu Anita Rashmita Kusum Ravina)'; names in a group
+	// cell may be separated by spaces. Cells in one period with the same subject and teachers form one group,
+	// listed in data.groupPeriods as { id, day, periodIndex, subject, teachers, classNames, label }. Entries
+	// carry group: id, and each teacher's schedule has one slot for the group, labelled 'Class 1 / Class 2'.
+	const GROUP_PERIOD_MARKER = /^group\s*:\s*/i;
+
+	// A split period has one class in several parallel groups, such as electives, each with its own subject and
+	// teacher: 'Maths (Mahesh) | Biology (Hemlata)'. A part may open with a label, '[Group B] Maths (Rakesh)'.
+	// Entries carry parallel: [{ label, subject, teacher }]; their subject and teacher join the parts'. Each
+	// teacher's slot names their part's label as part, and substitution plans cover each part on its own.
+	const PARALLEL_ENTRY_PATTERN = /^(?:\[([^\]]+)\]\s*)?(.+?)\s*\(([^)]+)\)$/;
+
+	// Sections of a class are rows of their own named 'Class 6 A', 'Class 6-A' or 'Class 6A'
+	const CLASS_SECTION_PATTERN = /^(Class .+?)(?:\s*-\s*|\s+|(?<=\d))([A-Z])$/;
+
+	// A cell may end with the room it is taught in, 'Chemistry (Toshit) @ChemLab'; room names have no spaces.
+	// Each part of a split period names its own room. Entries, parts and teachers' slots carry room.
+	const ROOM_SUFFIX_PATTERN = /\s*@([A-Za-z0-9][\w-]*)$/;
+
+	/**
+	 * Split a cell's teacher field into names
+	 * @param {string} teacherField - e.g. 'Maya' or 'Maya, Anita'
+	 * @param {boolean} [isGroup] - A group cell, where names may also be separated by spaces
+	 * @returns {Array<string>}
+	 */
+	function splitTeacherNames(teacherField, isGroup = false) {
+		if (!teacherField || typeof teacherField !== 'string') return [];
+
+		const cleanedTeacherField = teacherField
+			.replace(/^\s*-\s*/, '')
+			.replace(/\s+/g, ' ')
+			.trim();
+		if (!cleanedTeacherField) return [];
+
+		// Common multi-teacher delimiters used in timetable cells
+		const explicitDelimiter = /[\/,&;+]|(?:\s+-\s+)/;
+		if (explicitDelimiter.test(cleanedTeacherField)) {
+			return cleanedTeacherField
+				.split(/[\/,&;+]|(?:\s+-\s+)/)
+				.map(name => name.trim())
+				.filter(Boolean);
+		}
+
+		if (isGroup) {
+			return cleanedTeacherField
+				.split(/\s+/)
+				.map(name => name.trim())
+				.filter(Boolean);
+		}
+
+		return [cleanedTeacherField];
+	}
+
+	/**
+	 * The class a section row belongs to
+	 * @param {string} className - e.g. 'Class 6 A'
+	 * @returns {{ baseClass: string, section: string }|null} null for a class without sections
+	 */
+	function getClassSection(className) {
+		const match = String(className || '').match(CLASS_SECTION_PATTERN);
+		return match ? { baseClass: match[1], section: match[2] } : null;
+	}
+
+	// Section rows by the class they belong to: { 'Class 6': ['Class 6 A', 'Class 6 B'] }
+	function getClassSections(classNames) {
+		const sections = {};
+		classNames.forEach(className => {
+			const section = getClassSection(className);
+			if (!section) return;
+			sections[section.baseClass] = sections[section.baseClass] || [];
+			sections[section.baseClass].push(className);
+		});
+		return sections;
+	}
+
+	// 'Chemistry (Toshit) @ChemLab' -> { text: 'Chemistry (Toshit)', room: 'ChemLab' }
+	function splitCellRoom(text) {
+		const match = text.match(ROOM_SUFFIX_PATTERN);
+		return match ? { text: text.slice(0, match.index).trim(), room: match[1] } : { text, room: null };
+	}
+
+	/**
+	 * The rooms a timetable entry books; a split period books one for each part that names a room
+	 * @param {Object} entry
+	 * @returns {Array<{ room: string, subject: string, teacher: string|null }>}
+	 */
+	function getEntryRoomBookings(entry) {
+		if (!entry) return [];
+		if (entry.parallel) {
+			return entry.parallel
+				.filter(part => part.room)
+				.map(part => ({ room: part.room, subject: part.subject, teacher: part.teacher }));
+		}
+		return entry.room ? [{ room: entry.room, subject: entry.subject, teacher: entry.teacher || null }] : [];
+	}
+
+	// A timetable entry written back as a data-file cell, so exported rows parse the same way
+	function formatTimetableCell(entry) {
+		if (!entry) return '';
+		const roomSuffix = item => item.room ? ` @${item.room}` : '';
+		if (entry.parallel) {
+			return entry.parallel
+				.map(part => `${part.label !== part.subject ? `[${part.label}] ` : ''}${part.subject} (${part.teacher})${roomSuffix(part)}`)
+				.join(' | ');
+		}
+		const cell = entry.teacher ? `${entry.subject} (${entry.teacher})` : (entry.subject || '');
+		return `${entry.group ? `Group: ${cell}` : cell}${roomSuffix(entry)}`;
+	}
+
+	/**
+	 * Parse a loaded timetable file into timetable, teacherDetails, headers and diagnostics
+	 * @param {Object} source - { text, version, updated } as returned by the app's loader or the CLI
+	 * @param {Object} [options] - roster: normalized staff roster; aliases in the file are read as roster
+	 *   names, everyone on it is listed, and names missing from it are reported
+	 * @returns {Object} Parsed timetable data, with the roster as staffRoster, in teacherAliases the other
+	 *   spellings the file used for each roster name, the section rows of each class as classSections, the
+	 *   rooms cells name as roomNames and the group periods as groupPeriods
+	 */
+	function parseTimetableData(source, options = {}) {
+		const roster = Array.isArray(options.roster) ? options.roster : [];
+		const timetable = {};
+		const teacherDetails = {};
+		let headers = [];
+		const rawData = source?.text;
+		// Structured findings for the Data Check panel: { severity, day, line, column, message }.
+		// line is the 1-based source line and column the 1-based CSV cell (1 = class name).
+		const diagnostics = [];
+		const addDiagnostic = (severity, day, line, column, message) => {
+			diagnostics.push({ severity, day: day || null, line: line || null, column: column || null, message });
+		};
+
+		try {
+			// Validate the loaded timetable text exists
+			if (!rawData || typeof rawData !== 'string') {
+				throw new Error('Raw timetable data is missing or invalid');
+			}
+
+			// Enhanced data cleaning with more robust normalization; misspelt names are roster aliases
+			const correctedData = rawData.replace(/english/g, 'English');
+
+			// Tokenize into records; blank lines and '#' metadata lines are dropped by the tokenizer
+			const records = tokenizeCsv(correctedData, {
+				withLines: true,
+				onError: (message, line) => addDiagnostic('error', null, line, null, message)
+			}).map(record => ({ fields: record.fields.map(field => field.trim()), line: record.line }));
+
+			const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+			// Cells that legitimately carry no teacher
+			const teacherlessCells = ['Assembly', 'Free'];
+			// Where each spelling first appears, for the roster and near-duplicate checks after parsing
+			const firstSeen = new Map();
+			// Roster name -> other spellings the file used for them
+			const teacherAliases = {};
+			// 'day|periodIndex|subject|teachers' -> group period
+			const groups = new Map();
+			const rooms = new Set();
+			
+			let currentDay = null;
+			let currentDayLine = null;
+			let currentDayData = [];
+			const dayLines = new Map();
+
+			const flushDay = () => {
+				if (!currentDay) return;
+				if (currentDayData.length > 0) {
+					processDay(currentDay, currentDayData);
+				} else {
+					addDiagnostic('warning', currentDay, currentDayLine, null, `${currentDay} has no header or class rows`);
+				}
+			};
+			
+			// Process records with improved day detection
+			for (let i = 0; i < records.length; i++) {
+				const { fields, line } = records[i];
+				
+				// A record holding only a day name starts that day's block
+				if (fields.length === 1 && dayNames.includes(fields[0])) {
+					// Process previous day data if exists
+					flushDay();
+
+					if (dayLines.has(fields[0])) {
+						addDiagnostic('warning', fields[0], line, 1, `${fields[0]} appears again (first at line ${dayLines.get(fields[0])}); this block replaces the earlier one`);
+					}
+					dayLines.set(fields[0], line);
+					
+					// Start new day
+					currentDay = fields[0];
+					currentDayLine = line;
+					currentDayData = [];
+				} else if (currentDay) {
+					currentDayData.push(records[i]);
+				} else {
+					addDiagnostic('warning', null, line, 1, `Row starting "${fields[0].substring(0, 40)}" appears before any day name and was skipped`);
+				}
+			}
+			
+			// Process the last day
+			flushDay();
+
+			function processDay(day, dayData) {
+				timetable[day] = {};
+				let headerProcessed = false;
+				let missingHeaderReported = false;
+				const classLines = new Map();
+				
+				// Process each record for this day
+				for (let lineIndex = 0; lineIndex < dayData.length; lineIndex++) {
+					// Columns come from tokenizeCsv, so quoted cells may contain commas
+					const { fields: columns, line: sourceLine } = dayData[lineIndex];
+					const line = columns.join(',');
+					
+					if (columns.length === 0) continue;
+					
+					const firstColumn = columns[0];
+					
+					// COMPREHENSIVE HEADER SKIP CONDITION
+					// Check multiple conditions to identify and skip header rows
+					const isHeaderRow = (
+						line.includes('Period 1') ||                    // Contains "Period 1"
+						firstColumn === 'Class' ||                      // First column is exactly "Class"
+						firstColumn.toLowerCase() === 'class' ||        // Case insensitive check
+						line.toLowerCase().includes('period') ||        // Contains "period" anywhere
+						columns.some(col => col.includes('<br>')) ||    // Any column contains <br> (time format)
+						columns.some(col => col.includes('AM') || col.includes('PM')) // Contains time markers
+					);
+					
+					if (isHeaderRow) {
+						logger.log(`Skipping header: ${day} - "${line.substring(0, 100)}..."`);
+						
+						// Process headers only once across all days
+						if (headers.length === 0 && line.includes('Period 1')) {
+							headers = columns.slice(1).map(h => {
+								const parts = h.split('<br>');
+								return { 
+									name: parts[0]?.trim() || `Period ${h}`, 
+									time: parts[1]?.trim() || '' 
+								};
+							});
+							logger.log(`Headers extracted: ${headers.length} periods`);
+						}
+						headerProcessed = true;
+						continue; // CRITICAL: Skip processing this line as class data
+					}
+					
+					// Identify ONLY valid class rows: must start with "Class " followed by a number/name
+					if (firstColumn.startsWith('Class ') && 
+					    firstColumn !== 'Class' && 
+					    !firstColumn.toLowerCase().includes('period')) {
+						const className = firstColumn;
+						logger.log(`Processing class: ${day} - "${className}" with ${columns.length-1} periods`);
+						
+						// Ensure we have enough columns for all periods
+						if (columns.length < 2) {
+							addDiagnostic('error', day, sourceLine, 2, `${className} has no period cells`);
+							continue;
+						}
+
+						if (headers.length === 0 && !headerProcessed && !missingHeaderReported) {
+							addDiagnostic('warning', day, sourceLine, 1, `Class rows start before the ${day} header row, so cell counts cannot be checked`);
+							missingHeaderReported = true;
+						}
+
+						if (classLines.has(className)) {
+							addDiagnostic('warning', day, sourceLine, 1, `${className} is listed twice on ${day} (first at line ${classLines.get(className)}); this row replaces it`);
+						}
+						classLines.set(className, sourceLine);
+						
+						// Initialize the class schedule array
+						timetable[day][className] = [];
+						
+						// Process each period for this class
+						const periodData = columns.slice(1); // Skip the class name column
+
+						if (headers.length > 0 && periodData.length !== headers.length) {
+							const isShort = periodData.length < headers.length;
+							addDiagnostic(
+								'error',
+								day,
+								sourceLine,
+								Math.min(periodData.length, headers.length) + 2,
+								`${className} has ${periodData.length} period cells, expected ${headers.length}; ${isShort ? 'cells are missing from here on' : 'extra cells start here'}`
+							);
+						}
+						
+						periodData.forEach((cell, periodIndex) => {
+							// Parse subject and teacher from the cell
+							const isGroupCell = GROUP_PERIOD_MARKER.test(cell.trim());
+							const markedCell = cell.trim().replace(GROUP_PERIOD_MARKER, '');
+							// A split period's rooms are read with its parts
+							const isSplitCell = !isGroupCell && markedCell.includes('|');
+							const { text: cleanCell, room } = isSplitCell ? { text: markedCell, room: null } : splitCellRoom(markedCell);
+							
+							// Default entry structure
+							let entry = { 
+								subject: cleanCell, 
+								teacher: null, 
+								period: periodIndex, 
+								className: className, 
+								day: day 
+							};
+							if (room) entry.room = room;
+
+							// Read each part of a split period on its own
+							const unreadParts = [];
+							if (isSplitCell) {
+								entry.parallel = [];
+								cleanCell.split('|').map(part => part.trim()).forEach(part => {
+									const { text: partText, room: partRoom } = splitCellRoom(part);
+									const partMatch = partText.match(PARALLEL_ENTRY_PATTERN);
+									if (!partMatch) {
+										unreadParts.push(part ? `"${part}"` : 'an empty part');
+										return;
+									}
+									const subject = partMatch[2].trim();
+									entry.parallel.push({
+										label: partMatch[1]?.trim() || subject,
+										subject,
+										teacher: normalizeTeacherSpelling(partMatch[3]),
+										...(partRoom ? { room: partRoom } : {})
+									});
+								});
+								if (entry.parallel.length > 0) {
+									entry.subject = entry.parallel.map(part => part.subject).join(' / ');
+									entry.teacher = entry.parallel.map(part => part.teacher).join(', ');
+								} else {
+									delete entry.parallel;
+								}
+							}
+
+							// Extract subject and teacher using regex
+							const match = entry.parallel ? null : cleanCell.match(/^(.+?)\s*\(([^)]+)\)$/);
+							if (match) {
+								entry.subject = match[1].trim();
+								entry.teacher = normalizeTeacherSpelling(match[2]);
+							}
+
+							const column = periodIndex + 2;
+							if (!cleanCell) {
+								addDiagnostic('warning', day, sourceLine, column, `Empty cell in ${className}`);
+							} else if (unreadParts.length > 0) {
+								addDiagnostic('warning', day, sourceLine, column, `Could not read ${unreadParts.join(', ')} in ${className}; each part of a split period needs "Subject (Teacher)"`);
+							} else if (entry.parallel) {
+								// Every part was read
+							} else if (cleanCell.includes('@')) {
+								addDiagnostic('warning', day, sourceLine, column, `Could not read the room in "${markedCell}"; end the cell with @RoomName, without spaces`);
+							} else if (!match && /[()]/.test(cleanCell)) {
+								addDiagnostic('warning', day, sourceLine, column, `Could not read "${cleanCell}"; expected "Subject (Teacher)"`);
+							} else if (!match && !teacherlessCells.includes(cleanCell)) {
+								addDiagnostic('info', day, sourceLine, column, `"${cleanCell}" in ${className} has no teacher`);
+							}
+
+							// Add entry to timetable
+							timetable[day][className].push(entry);
+							getEntryRoomBookings(entry).forEach(booking => rooms.add(booking.room));
+
+							// Track teacher details for enhanced scheduling
+							if (entry.teacher) {
+								const writtenNames = splitTeacherNames(entry.teacher, isGroupCell);
+								const teachersInCell = writtenNames.map(name => resolveStaffName(roster, name));
+								// A split period's teachers each take their own part's subject
+								const subjectsInCell = entry.parallel
+									? entry.parallel.flatMap(part => splitTeacherNames(part.teacher).map(() => part.subject))
+									: entry.subject.split('/').map(s => s.trim());
+								const roomsInCell = entry.parallel
+									? entry.parallel.flatMap(part => splitTeacherNames(part.teacher).map(() => part.room || null))
+									: [];
+								const partsInCell = entry.parallel
+									? entry.parallel.flatMap(part => splitTeacherNames(part.teacher).map(() => part.label))
+									: [];
+								let group = null;
+								if (isGroupCell) {
+									// A group's names are kept comma-separated, so later splits need no marker
+									entry.teacher = teachersInCell.join(', ');
+									const groupKey = [day, periodIndex, entry.subject, [...teachersInCell].sort().join(',')].join('|');
+									if (!groups.has(groupKey)) {
+										groups.set(groupKey, { id: groupKey, day, periodIndex, subject: entry.subject, teachers: teachersInCell, classNames: [] });
+									}
+									group = groups.get(groupKey);
+									group.classNames.push(className);
+									entry.group = group.id;
+								}
+
+								// Cells show the roster spelling of an alias
+								if (!isGroupCell && teachersInCell.some((name, teacherIndex) => name !== writtenNames[teacherIndex])) {
+									entry.teacher = teachersInCell.join(', ');
+								}
+								writtenNames.forEach((name, teacherIndex) => {
+									const rosterName = teachersInCell[teacherIndex];
+									if (rosterName !== name) {
+										teacherAliases[rosterName] = teacherAliases[rosterName] || [];
+										if (!teacherAliases[rosterName].includes(name)) teacherAliases[rosterName].push(name);
+									} else if (!firstSeen.has(name)) {
+										firstSeen.set(name, { day, line: sourceLine, column, className });
+									}
+								});
+								(entry.parallel || []).forEach(part => {
+									part.teacher = splitTeacherNames(part.teacher).map(name => resolveStaffName(roster, name)).join(', ');
+								});
+
+								teachersInCell.forEach((teacherName, teacherIndex) => {
+									// Initialize teacher if not exists
+									if (!teacherDetails[teacherName]) {
+										teacherDetails[teacherName] = { 
+											schedule: {}, 
+											periodCount: 0, 
+											subjects: new Set(),
+											workload: {}
+										};
+									}
+
+									// Initialize day schedule for teacher
+									if (!teacherDetails[teacherName].schedule[day]) {
+										// Ensure we have the correct number of periods
+										const expectedPeriods = headers.length || 8;
+										teacherDetails[teacherName].schedule[day] = Array(expectedPeriods).fill(null);
+									}
+
+									// Assign subject for this teacher (handle multiple teachers per cell)
+									const subjectForTeacher = subjectsInCell[teacherIndex] || subjectsInCell[0];
+									const roomForTeacher = entry.parallel ? roomsInCell[teacherIndex] : entry.room;
+									const partForTeacher = partsInCell[teacherIndex];
+									
+									// Correctly associate data: ensure period index is valid
+									if (periodIndex < teacherDetails[teacherName].schedule[day].length) {
+										const existingSlot = teacherDetails[teacherName].schedule[day][periodIndex];
+										if (!existingSlot) {
+											teacherDetails[teacherName].schedule[day][periodIndex] = { 
+												subject: subjectForTeacher, 
+												className: className,
+												...(group ? { group: group.id } : {}),
+												...(partForTeacher ? { part: partForTeacher } : {}),
+												...(roomForTeacher ? { room: roomForTeacher } : {})
+											};
+											teacherDetails[teacherName].periodCount++;
+											if (!teacherDetails[teacherName].workload[day]) {
+												teacherDetails[teacherName].workload[day] = 0;
+											}
+											teacherDetails[teacherName].workload[day]++;
+										} else {
+											const mergedClasses = new Set(
+												String(existingSlot.className || '')
+													.split('/')
+													.map(name => name.trim())
+													.filter(Boolean)
+											);
+											mergedClasses.add(className);
+											existingSlot.className = Array.from(mergedClasses)
+												.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+												.join(' / ');
+
+											if (subjectForTeacher && existingSlot.subject !== subjectForTeacher) {
+												const mergedSubjects = new Set(
+													String(existingSlot.subject || '')
+														.split('/')
+														.map(subject => subject.trim())
+														.filter(Boolean)
+												);
+												mergedSubjects.add(subjectForTeacher);
+												existingSlot.subject = Array.from(mergedSubjects).join(' / ');
+											}
+										}
+									}
+									
+								// Update teacher statistics
+								try {
+									teacherDetails[teacherName].subjects.add(subjectForTeacher);
+								} catch (e) {
+									// Fallback if subjects is not a Set
+									logger.warn('subjects is not a Set, reinitializing:', teacherName);
+									teacherDetails[teacherName].subjects = new Set([subjectForTeacher]);
+								}
+								});
+							}
+						});
+					} else {
+						addDiagnostic('warning', day, sourceLine, 1, `Row starting "${firstColumn.substring(0, 40)}" is not a header or class row and was skipped`);
+					}
+				}
+				
+				logger.log(`Processed ${day}: ${Object.keys(timetable[day]).length} classes`);
+			}
+
+			// Validate and clean up the parsed data
+			const validDays = Object.keys(timetable).filter(day => {
+				return dayNames.includes(day) && Object.keys(timetable[day]).length > 0;
+			});
+
+			// Clean up timetable: remove any invalid day entries
+			const cleanTimetable = {};
+			validDays.forEach(day => {
+				cleanTimetable[day] = timetable[day];
+			});
+			
+			logger.log(`Cleaned timetable - valid days: ${validDays.join(', ')}`);
+			logger.log(`Removed invalid days: ${Object.keys(timetable).filter(d => !validDays.includes(d)).join(', ') || 'none'}`);
+			
+			// Update timetable reference
+			Object.keys(timetable).forEach(key => delete timetable[key]);
+			Object.assign(timetable, cleanTimetable);
+
+			// Enhanced class sorting with better filtering
+			let allClassNames = new Set();
+			validDays.forEach(day => {
+				Object.keys(timetable[day]).forEach(className => {
+					// Prevent merging/splitting: only include proper class names
+					if (className.startsWith('Class ') && 
+						!className.toLowerCase().includes('period') &&
+						className !== 'Class') {
+						allClassNames.add(className);
+					}
+				});
+			});
+
+			const classNames = Array.from(allClassNames).sort((a, b) => {
+				const extractNumber = (str) => {
+					const match = str.match(/Class (\d+)/);
+					return match ? parseInt(match[1]) : 999;
+				};
+				
+				const numA = extractNumber(a);
+				const numB = extractNumber(b);
+				
+				if (numA !== numB) return numA - numB;
+				return a.localeCompare(b);
+			});
+
+			// Everyone on the roster is a teacher the app can list, with or without lessons
+			roster.forEach(member => {
+				if (!teacherDetails[member.name]) {
+					teacherDetails[member.name] = { schedule: {}, periodCount: 0, subjects: new Set(), workload: {} };
+				}
+			});
+
+			// A spelling off the roster, or without one a rarer spelling close to another name, is likely a phantom
+			// teacher made by a typo. Each is reported once, at its first cell.
+			const rosterSpellings = roster.flatMap(member => [member.name, ...member.aliases]);
+			firstSeen.forEach((seen, name) => {
+				if (roster.length > 0) {
+					if (roster.some(member => member.name === name)) return;
+					const lookalike = resolveStaffName(roster, findNearDuplicateName(name, rosterSpellings));
+					// 'Bindu Anita Ravina' in an unmarked cell is several teachers read as one
+					const groupHint = name.includes(' ') && name.split(' ').every(word => roster.some(member => member.name === resolveStaffName(roster, word)));
+					addDiagnostic('warning', seen.day, seen.line, seen.column, `${name} in ${seen.className} is not on the staff roster${lookalike
+						? `; it looks like ${lookalike}, add it to their aliases`
+						: groupHint ? '; for several teachers at once, mark the cell "Group: Subject (Names)"' : ''}`);
+					return;
+				}
+				const lookalike = findNearDuplicateName(name, Array.from(firstSeen.keys()));
+				const periodCount = teacher => teacherDetails[teacher]?.periodCount || 0;
+				if (lookalike && (periodCount(name) < periodCount(lookalike) || (periodCount(name) === periodCount(lookalike) && name > lookalike))) {
+					addDiagnostic('warning', seen.day, seen.line, seen.column, `${name} in ${seen.className} looks like ${lookalike}; list it as an alias in the staff roster`);
+				}
+			});
+
+			// Clean up teacher names - remove any invalid entries
+			const validTeacherNames = Object.keys(teacherDetails)
+				.filter(name => name && name.trim().length > 0)
+				.sort();
+
+			const result = { 
+				timetable, 
+				teacherDetails, 
+				periodHeaders: headers, 
+				classNames, 
+				teacherNames: validTeacherNames,
+				staffRoster: roster,
+				teacherAliases,
+				classSections: getClassSections(classNames),
+				roomNames: [...rooms].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+				groupPeriods: [...groups.values()].map(group => {
+					const classNames = group.classNames.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+					return { ...group, classNames, label: classNames.join(' / ') };
+				}),
+				days: validDays,
+				dataVersion: source.version || '',
+				dataUpdated: source.updated || '',
+				diagnostics: diagnostics.sort((a, b) => (a.line || 0) - (b.line || 0))
+			};
+
+			// Enhanced logging for debugging
+			logger.log('=== PARSING RESULTS ===');
+			logger.log('Valid days:', validDays);
+			logger.log('Classes found:', classNames.length);
+			logger.log('Teachers found:', validTeacherNames.length);
+			logger.log('Period headers:', headers.length);
+			
+			// Row and cell problems are reported through result.diagnostics
+			validDays.forEach(day => {
+				logger.log(`${day}: ${Object.keys(timetable[day]).length} classes`);
+			});
+			logger.log('Diagnostics:', diagnostics.length);
+			
+			return result;
+
+		} catch (error) {
+			logger.error('Error parsing timetable data:', error);
+			logger.error('Error details:', error.message);
+			logger.error('Stack trace:', error.stack);
+			addDiagnostic('error', null, null, null, `Parser failed: ${error.message}`);
+			
+			// Return minimal data structure to prevent crashes
+			return {
+				timetable: { Monday: {} },
+				teacherDetails: {},
+				periodHeaders: [],
+				classNames: [],
+				teacherNames: [],
+				staffRoster: roster,
+				teacherAliases: {},
+				classSections: {},
+				roomNames: [],
+				groupPeriods: [],
+				days: ['Monday'],
+				dataVersion: source?.version || '',
+				dataUpdated: source?.updated || '',
+				diagnostics
+			};
+		}
+	}
+
+	// ============================================
+	// ROOMS
+	// ============================================
+
+	/**
+	 * A room's weekly bookings from the cells that name it; a group period books it once under its label
+	 * @param {Object} data - Parsed timetable
+	 * @param {string} room - e.g. 'ChemLab'
+	 * @returns {Object} By weekday, an array by period index of [{ className, subject, teacher }]; more than
+	 *   one booking in a period is a clash
+	 */
+	function getRoomSchedule(data, room) {
+		const schedule = {};
+		const groupLabels = new Map((data?.groupPeriods || []).map(group => [group.id, group.label]));
+		(data?.days || []).forEach(day => {
+			const periods = (data.periodHeaders || []).map(() => []);
+			Object.entries(data.timetable?.[day] || {}).forEach(([className, entries]) => {
+				entries.forEach((entry, periodIndex) => {
+					if (!periods[periodIndex]) return;
+					const place = groupLabels.get(entry?.group) || className;
+					getEntryRoomBookings(entry).filter(booking => booking.room === room).forEach(booking => {
+						if (entry.group && periods[periodIndex].some(item => item.className === place)) return;
+						periods[periodIndex].push({ className: place, subject: booking.subject, teacher: booking.teacher });
+					});
+				});
+			});
+			schedule[day] = periods;
+		});
+		return schedule;
+	}
+
+	// ============================================
+	// VALIDATION
+	// ============================================
+
+	/**
+	 * Check period timings, teacher overlaps, room clashes, section rows and row lengths
+	 * @param {Object} data - Parsed timetable
+	 * @param {Object} [options] - getDayPlan(day) returns substitutions to count as busy slots
+	 * @returns {{ ok: boolean, errors: Array<string>, warnings: Array<string> }}
+	 */
+	function validateTimetable(data, options = {}) {
+		const errors = [];
+		const warnings = [];
+		const getDayPlan = options.getDayPlan || (() => ({}));
+		try {
+			const { timetable, periodHeaders, days } = data || {};
+			if (!timetable || !periodHeaders || !days) return { ok: false, errors: ['Data not initialized'], warnings };
+
+			// Check period headers length and ascending times
+			if (periodHeaders.length !== 9) warnings.push(`Expected 9 timetable slots, found ${periodHeaders.length}`);
+			const parseTime = t => {
+				// t: "h:mm AM - h:mm PM"
+				const [start, end] = t.split('-').map(s => s.trim());
+				const toMin = (s) => {
+					const m = s.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
+					if (!m) return null;
+					let hh = parseInt(m[1],10);
+					const mm = parseInt(m[2],10);
+					const ap = m[3].toUpperCase();
+					if (ap === 'PM' && hh !== 12) hh += 12;
+					if (ap === 'AM' && hh === 12) hh = 0;
+					return hh*60+mm;
+				};
+				return [toMin(start), toMin(end)];
+			};
+			let lastEnd = -1;
+			periodHeaders.forEach((ph, idx) => {
+				const [s,e] = parseTime(ph.time || '');
+				if (s==null || e==null || e<=s) errors.push(`Invalid time in header ${ph.name}: ${ph.time}`);
+				if (s!=null && lastEnd>0 && s<lastEnd && idx!==4) { // allow recess gap before Period 5
+					errors.push(`Overlapping/unsorted period header at ${ph.name}`);
+				}
+				lastEnd = e || lastEnd;
+			});
+
+			// Check per-day, per-period teacher overlaps.
+			// Shared-stream rows and multi-teacher cells are ambiguous in the source data,
+			// so surface these as warnings instead of blocking validation.
+			// Split periods and group periods name each teacher's place, so their teachers are checked too;
+			// a group counts once under its 'Class 1 / Class 2' label.
+			const groupLabels = new Map((data.groupPeriods || []).map(group => [group.id, group.label]));
+			days.forEach(day => {
+				const busy = Array(periodHeaders.length).fill(0).map(() => new Map());
+				Object.keys(timetable[day]||{}).forEach(cName => {
+					(timetable[day][cName]||[]).forEach((p, i) => {
+						if (p && p.teacher) {
+							const teacherNames = splitTeacherNames(p.teacher);
+							if (teacherNames.length !== 1 && !p.parallel && !groupLabels.has(p.group)) return;
+							const place = groupLabels.get(p.group) || cName;
+							new Set(teacherNames).forEach(teacherName => {
+								if (p.parallel && teacherNames.filter(name => name === teacherName).length > 1) {
+									warnings.push(`${teacherName} teaches two parallel groups of ${cName} on ${day} ${periodHeaders[i]?.name || `P${i + 1}`}`);
+								}
+								if (!busy[i].has(teacherName)) busy[i].set(teacherName, []);
+								if (!busy[i].get(teacherName).includes(place)) busy[i].get(teacherName).push(place);
+							});
+						}
+					});
+				});
+				const daySubs = getDayPlan(day);
+				Object.keys(daySubs).forEach(cName => {
+					Object.keys(daySubs[cName]).forEach(k => {
+						const i = parseInt(k,10);
+						const t = daySubs[cName][i];
+						if (!t) return;
+						if (!busy[i].has(t)) busy[i].set(t, []);
+						busy[i].get(t).push(`${cName} (substitution)`);
+					});
+				});
+				busy.forEach((teacherMap, i) => {
+					teacherMap.forEach((classes, teacherName) => {
+						if (classes.length > 1) {
+							warnings.push(`Potential overlap for ${teacherName} on ${day} ${periodHeaders[i]?.name || `P${i + 1}`}: ${classes.join(', ')}`);
+						}
+					});
+				});
+			});
+
+			// Two classes, or two groups of a split period, booked into one room at once
+			(data.roomNames || []).forEach(room => {
+				Object.entries(getRoomSchedule(data, room)).forEach(([day, periods]) => {
+					periods.forEach((bookings, i) => {
+						if (bookings.length > 1) {
+							warnings.push(`Room clash in ${room} on ${day} ${periodHeaders[i]?.name || `P${i + 1}`}: ${bookings.map(booking => `${booking.className} (${booking.subject})`).join(', ')}`);
+						}
+					});
+				});
+			});
+
+			// A class split into sections is timetabled by section, so a row for the whole class books its students twice
+			Object.entries(data.classSections || {}).forEach(([baseClass, sectionNames]) => {
+				if (days.some(day => timetable[day]?.[baseClass])) {
+					warnings.push(`${baseClass} has its own row as well as sections ${sectionNames.join(', ')}`);
+				}
+			});
+
+			// Check class rows have 8 periods
+			days.forEach(day => {
+				Object.keys(timetable[day]||{}).forEach(cName => {
+					if ((timetable[day][cName]||[]).length !== periodHeaders.length) {
+						warnings.push(`${day} ${cName}: periods ${timetable[day][cName].length} != headers ${periodHeaders.length}`);
+					}
+				});
+			});
+
+			return { ok: errors.length===0, errors, warnings };
+		} catch (e) {
+			logger.error('Validation error:', e);
+			return { ok: false, errors: [String(e)], warnings };
+		}
+	}
+
+	// ============================================
+	// TEACHER AVAILABILITY
+	// ============================================
+
+	// An availability rule limits when a teacher can be given cover:
+	// { id, teacher, days: [weekday], periods: [periodIndex], from, to, reason }.
+	// days are the weekdays it applies on (empty for every day) and periods the period indexes the teacher
+	// can take then (empty for none). A rule with from/to dates is an exception: on those dates it wins over
+	// the teacher's weekly rules. Otherwise the later rule wins. Teachers without a rule are available in every
+	// free period. The app keeps the coordinator's rules in data.availabilityRules; these are the built-in ones.
+	const TEACHER_AVAILABILITY_RULES = [
+		{ id: 'mahesh-periods', teacher: 'Mahesh', days: [], periods: [1, 2, 3], from: null, to: null, reason: '', createdAt: 0 },
+		{ id: 'anjana-periods', teacher: 'Anjana', days: [], periods: [5, 6, 7, 8], from: null, to: null, reason: '', createdAt: 0 }
+	];
+
+	const AVAILABILITY_WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+	/**
+	 * Check the shape of availability rules from storage or a file
+	 * @param {Array<Object>} rules
+	 * @returns {Array<Object>} Valid rules sorted by teacher, weekly rules before dated exceptions
+	 */
+	function normalizeAvailabilityRules(rules) {
+		const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+		return (Array.isArray(rules) ? rules : []).map((rule, index) => {
+			const label = rule?.teacher || rule?.id || `Availability rule ${index + 1}`;
+			const days = Array.isArray(rule?.days) ? rule.days : [];
+			const periods = [...new Set((rule?.periods || []).map(Number).filter(periodIndex => Number.isInteger(periodIndex) && periodIndex >= 0))]
+				.sort((a, b) => a - b);
+			const to = rule?.to || rule?.from;
+
+			if (!rule?.id || !String(rule.teacher || '').trim()) {
+				logger.warn(`Availability rule "${label}" needs an id and a teacher; skipped`);
+				return null;
+			}
+			if (days.some(day => !AVAILABILITY_WEEKDAYS.includes(day))) {
+				logger.warn(`Availability rule "${label}" names an unknown weekday; skipped`);
+				return null;
+			}
+			if ((rule.from || rule.to) && (!datePattern.test(rule.from || '') || !datePattern.test(to || '') || to < rule.from)) {
+				logger.warn(`Availability rule "${label}" needs YYYY-MM-DD from/to dates with to on or after from; skipped`);
+				return null;
+			}
+
+			return {
+				id: String(rule.id),
+				teacher: String(rule.teacher).trim(),
+				days: AVAILABILITY_WEEKDAYS.filter(day => days.includes(day)),
+				periods,
+				from: rule.from || null,
+				to: rule.from ? to : null,
+				reason: String(rule.reason || '').trim(),
+				createdAt: rule.createdAt || 0
+			};
+		}).filter(Boolean).sort((a, b) => (
+			a.teacher.localeCompare(b.teacher) ||
+			(a.from || '').localeCompare(b.from || '') ||
+			a.createdAt - b.createdAt
+		));
+	}
+
+	function getAvailabilityRules(data) {
+		return data?.availabilityRules || TEACHER_AVAILABILITY_RULES;
+	}
+
+	/**
+	 * Check whether a rule applies on a weekday and date. Dated exceptions need the date.
+	 * @param {Object} rule - Normalized availability rule
+	 * @param {string|null} day - Weekday name
+	 * @param {string|null} dateKey - 'YYYY-MM-DD'
+	 * @returns {boolean}
+	 */
+	function isAvailabilityRuleActive(rule, day, dateKey) {
+		if (!rule) return false;
+		if (rule.days.length > 0 && !rule.days.includes(day)) return false;
+		if (rule.from) return Boolean(dateKey) && dateKey >= rule.from && dateKey <= rule.to;
+		return true;
+	}
+
+	/**
+	 * The rule in effect for a teacher on a day and date: a dated exception, else the latest weekly rule
+	 * @param {Object} data - Parsed timetable carrying availabilityRules
+	 * @param {string} teacher
+	 * @param {string|null} [day] - Weekday name; without it only every-day rules apply
+	 * @param {string|null} [dateKey] - 'YYYY-MM-DD'; without it dated exceptions are ignored
+	 * @returns {Object|null}
+	 */
+	function getTeacherAvailabilityRule(data, teacher, day = null, dateKey = null) {
+		const activeRules = getAvailabilityRules(data).filter(rule => rule.teacher === teacher && isAvailabilityRuleActive(rule, day, dateKey));
+		return activeRules.filter(rule => rule.from).pop() || activeRules.pop() || null;
+	}
+
+	/**
+	 * Short label for the periods a rule allows, e.g. 'Periods 1-3 only' or 'Not available'
+	 * @param {Object} data - Parsed timetable
+	 * @param {Object} rule - Normalized availability rule
+	 * @returns {string}
+	 */
+	function formatAvailabilityWindow(data, rule) {
+		if (!rule) return '';
+		if (rule.periods.length === 0) return 'Not available';
+
+		const periodHeaders = data?.periodHeaders || [];
+		const names = rule.periods.map(periodIndex => periodHeaders[periodIndex]?.name || `Period ${periodIndex}`);
+		const numbers = names.map(name => Number(name.match(/^Period (\d+)$/)?.[1]));
+		const isRun = rule.periods.every((periodIndex, index) => index === 0 || periodIndex === rule.periods[index - 1] + 1);
+
+		if (names.length === 1) return `${names[0]} only`;
+		if (isRun && numbers.every(Number.isInteger)) return `Periods ${numbers[0]}-${numbers[numbers.length - 1]} only`;
+		if (isRun) return `${names[0]} - ${names[names.length - 1]} only`;
+		return `${names.join(', ')} only`;
+	}
+
+	function getTeacherAvailabilityWindowLabel(data, teacher, day = null, dateKey = null) {
+		return formatAvailabilityWindow(data, getTeacherAvailabilityRule(data, teacher, day, dateKey));
+	}
+
+	function isTeacherAvailableForPeriod(data, teacher, periodIndex, day = null, dateKey = null) {
+		const rule = getTeacherAvailabilityRule(data, teacher, day, dateKey);
+		if (!rule) return true;
+		return rule.periods.includes(periodIndex);
+	}
+
+	// ============================================
+	// ABSENCE WINDOWS
+	// ============================================
+
+	// An absent-teacher entry is a name (away all day) or an object naming the part of the day:
+	// { teacher, fromPeriod, toPeriod } with period indexes as in periodHeaders, or { teacher, from, to }
+	// with time labels such as '11:30 AM'. Either end may be left out to run from the start or to the end
+	// of the day. Outside the window the teacher keeps their own periods and can cover for others.
+
+	/**
+	 * Read an absent-teacher entry
+	 * @param {string|Object} absence - Teacher name or { teacher, fromPeriod?, toPeriod?, from?, to? }
+	 * @returns {Object|null} { teacher } plus the window fields that are readable; a period window wins over times
+	 */
+	function normalizeAbsence(absence) {
+		if (typeof absence === 'string') return absence.trim() ? { teacher: absence.trim() } : null;
+		const teacher = String(absence?.teacher || '').trim();
+		if (!teacher) return null;
+
+		const normalized = { teacher };
+		['fromPeriod', 'toPeriod'].forEach(key => {
+			const value = parseInt(absence[key], 10);
+			if (Number.isInteger(value) && value >= 0) normalized[key] = value;
+		});
+		if ('fromPeriod' in normalized || 'toPeriod' in normalized) return normalized;
+
+		['from', 'to'].forEach(key => {
+			if (parseTimeLabel(absence[key]) != null) normalized[key] = absence[key].trim();
+		});
+		return normalized;
+	}
+
+	function hasAbsenceWindow(absence) {
+		const normalized = normalizeAbsence(absence);
+		return Boolean(normalized) && Object.keys(normalized).length > 1;
+	}
+
+	function getAbsentTeacherNames(absentTeachers = []) {
+		return [...new Set(absentTeachers.map(normalizeAbsence).filter(Boolean).map(absence => absence.teacher))];
+	}
+
+	/**
+	 * Period indexes an absent teacher misses. A time window covers every period it overlaps,
+	 * using the bell times currently in data.periodHeaders.
+	 * @param {Object} data - Parsed timetable
+	 * @param {string|Object} absence - Absent-teacher entry
+	 * @returns {Array<number>}
+	 */
+	function getAbsencePeriodIndexes(data, absence) {
+		const normalized = normalizeAbsence(absence);
+		const periodHeaders = data?.periodHeaders || [];
+		const periodIndexes = periodHeaders.map((header, periodIndex) => periodIndex);
+		if (!normalized) return [];
+
+		if ('fromPeriod' in normalized || 'toPeriod' in normalized) {
+			const first = normalized.fromPeriod ?? 0;
+			const last = normalized.toPeriod ?? periodHeaders.length - 1;
+			return periodIndexes.filter(periodIndex => periodIndex >= first && periodIndex <= last);
+		}
+
+		if ('from' in normalized || 'to' in normalized) {
+			const windowStart = 'from' in normalized ? parseTimeLabel(normalized.from) : -Infinity;
+			const windowEnd = 'to' in normalized ? parseTimeLabel(normalized.to) : Infinity;
+			return periodIndexes.filter(periodIndex => {
+				const [start, end] = String(periodHeaders[periodIndex].time || '').split('-').map(part => parseTimeLabel(part));
+				// A period without readable times is treated as missed so it is not left uncovered
+				if (start == null || end == null) return true;
+				return start < windowEnd && end > windowStart;
+			});
+		}
+
+		return periodIndexes;
+	}
+
+	function isTeacherAbsentForPeriod(data, absentTeachers, teacher, periodIndex) {
+		return (absentTeachers || []).some(absence => {
+			const normalized = normalizeAbsence(absence);
+			return normalized?.teacher === teacher && getAbsencePeriodIndexes(data, normalized).includes(periodIndex);
+		});
+	}
+
+	/**
+	 * Short label for an absence window, e.g. 'From Period 5' or '9:50 AM - 11:10 AM'
+	 * @param {Object} data - Parsed timetable
+	 * @param {string|Object} absence - Absent-teacher entry
+	 * @returns {string} Empty for a whole-day absence
+	 */
+	function formatAbsenceWindow(data, absence) {
+		const normalized = normalizeAbsence(absence);
+		if (!hasAbsenceWindow(normalized)) return '';
+
+		const periodHeaders = data?.periodHeaders || [];
+		const usesPeriods = 'fromPeriod' in normalized || 'toPeriod' in normalized;
+		const periodName = periodIndex => periodHeaders[periodIndex]?.name || `Period ${periodIndex}`;
+		const start = usesPeriods ? (normalized.fromPeriod != null ? periodName(normalized.fromPeriod) : '') : (normalized.from || '');
+		const end = usesPeriods ? (normalized.toPeriod != null ? periodName(normalized.toPeriod) : '') : (normalized.to || '');
+
+		if (start && end) return start === end ? start : `${start} - ${end}`;
+		if (start) return `From ${start}`;
+		return usesPeriods ? `Up to ${end}` : `Until ${end}`;
+	}
+
+	// ============================================
+	// SCORING SETTINGS
+	// ============================================
+
+	// Substitute scores add four factors, each worth up to its weight in points. The sub-scores inside a
+	// factor (a related subject, a nearby grade, a light day) are written against the default weights
+	// and scale with the factor's weight. Reliability adjusts a teacher's availability points before
+	// the cap; subject families give partial subject credit when the vacant and taught subjects share a
+	// family. Fairness takes up to its weight off teachers who covered most over the last fairnessDays.
+	// Caps (0 for none) keep a teacher out of the candidates once they reach them. Releasable subjects name
+	// duties such as notebook checking whose teachers can be called away (see RELEASABLE DUTIES). The app
+	// keeps the coordinator's settings in data.scoringConfig.
+	const DEFAULT_SCORING_CONFIG = {
+		weights: {
+			subjectMatch: 40,
+			gradeMatch: 25,
+			workload: 20,
+			availability: 15,
+			fairness: 10
+		},
+		caps: {
+			perDay: 3,
+			perWeek: 10,
+			consecutive: 5
+		},
+		fairnessDays: 28,
+		reliability: {
+			Hemlata: 2,    // Science specialist
+			Pradhyuman: 2, // Senior teacher
+			Nathulal: 2,   // Math specialist
+			Harshita: 1,   // English specialist
+			Jainendra: 1,  // Hindi specialist
+			Antima: 1,     // Sanskrit specialist
+			Maya: -1,      // Limited availability
+			Rakesh: -2     // Sports only
+		},
+		subjectFamilies: [
+			{ name: 'English', patterns: ['english', 'elga'], score: 35 },
+			{ name: 'Hindi', patterns: ['hindi'], score: 35 },
+			{ name: 'Mathematics', patterns: ['maths', 'mathematics'], score: 35 },
+			{ name: 'Science', patterns: ['science', 'physics', 'chemistry', 'biology'], score: 35 },
+			{ name: 'Social Studies', patterns: ['sst', 'social', 'history', 'geography', 'civics'], score: 30 },
+			{ name: 'Sanskrit', patterns: ['sanskrit'], score: 30 },
+			{ name: 'Physical Education', patterns: ['sports', 'games', 'physical'], score: 25 },
+			{ name: 'Computer Science', patterns: ['ccs', 'computer'], score: 25 },
+			{ name: 'Environmental Studies', patterns: ['evs', 'environmental'], score: 25 },
+			{ name: 'Accountancy', patterns: ['accountancy', 'accounts'], score: 30 },
+			{ name: 'Economics', patterns: ['economics'], score: 30 },
+			{ name: 'Business Studies', patterns: ['business'], score: 30 },
+			{ name: 'Political Science', patterns: ['political'], score: 25 }
+		],
+		releasableSubjects: ['NoteBook Checking', 'Self Study']
+	};
+
+	const SCORING_WEIGHT_LIMIT = 100;
+	const RELIABILITY_LIMIT = 15;
+	const SUBSTITUTION_CAP_LIMIT = 50;
+	const FAIRNESS_DAYS_LIMIT = 365;
+
+	/**
+	 * Check scoring settings from storage or a file. Missing parts fall back to the defaults;
+	 * numbers are rounded and clamped, and unreadable entries are dropped with a warning.
+	 * @param {Object} [config] - { weights, caps, fairnessDays, reliability, subjectFamilies, releasableSubjects }
+	 * @returns {Object} A complete scoring config
+	 */
+	function normalizeScoringConfig(config) {
+		const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.round(value)));
+		const defaults = DEFAULT_SCORING_CONFIG;
+
+		const weights = {};
+		Object.keys(defaults.weights).forEach(key => {
+			const value = Number(config?.weights?.[key]);
+			weights[key] = Number.isFinite(value) ? clamp(value, 0, SCORING_WEIGHT_LIMIT) : defaults.weights[key];
+		});
+
+		// Sorted by teacher so two configs with the same entries compare equal
+		const reliability = {};
+		const reliabilitySource = config?.reliability && typeof config.reliability === 'object' ? config.reliability : defaults.reliability;
+		Object.entries(reliabilitySource).sort((a, b) => a[0].localeCompare(b[0])).forEach(([teacher, adjustment]) => {
+			const name = String(teacher).trim();
+			const value = Number(adjustment);
+			if (!name || !Number.isFinite(value)) {
+				logger.warn(`Reliability for "${teacher}" needs a number; skipped`);
+				return;
+			}
+			if (value !== 0) reliability[name] = clamp(value, -RELIABILITY_LIMIT, RELIABILITY_LIMIT);
+		});
+
+		let subjectFamilies = defaults.subjectFamilies.map(family => ({ ...family, patterns: [...family.patterns] }));
+		if (Array.isArray(config?.subjectFamilies)) {
+			subjectFamilies = config.subjectFamilies.map((family, index) => {
+				const name = String(family?.name || '').trim();
+				const patterns = [...new Set((family?.patterns || []).map(pattern => String(pattern).toLowerCase().trim()).filter(Boolean))];
+				const score = Number(family?.score);
+				if (!name || patterns.length === 0 || !Number.isFinite(score)) {
+					logger.warn(`Subject family "${name || index + 1}" needs a name, at least one pattern and a score; skipped`);
+					return null;
+				}
+				return { name, patterns, score: clamp(score, 0, defaults.weights.subjectMatch) };
+			}).filter(Boolean);
+		}
+
+		const caps = {};
+		Object.keys(defaults.caps).forEach(key => {
+			const value = Number(config?.caps?.[key]);
+			caps[key] = Number.isFinite(value) ? clamp(value, 0, SUBSTITUTION_CAP_LIMIT) : defaults.caps[key];
+		});
+
+		const fairnessDays = Number(config?.fairnessDays);
+
+		// Matched whole and without case, so the first spelling of a subject is kept
+		const releasableSubjects = [];
+		(Array.isArray(config?.releasableSubjects) ? config.releasableSubjects : defaults.releasableSubjects).forEach(subject => {
+			const name = String(subject ?? '').trim();
+			if (name && !releasableSubjects.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+				releasableSubjects.push(name);
+			}
+		});
+
+		return {
+			weights,
+			caps,
+			fairnessDays: Number.isFinite(fairnessDays) ? clamp(fairnessDays, 1, FAIRNESS_DAYS_LIMIT) : defaults.fairnessDays,
+			reliability,
+			subjectFamilies,
+			releasableSubjects
+		};
+	}
+
+	function getScoringConfig(data) {
+		return data?.scoringConfig || DEFAULT_SCORING_CONFIG;
+	}
+
+	// Sub-scores are written against the default weight; this rescales them to the configured one
+	function scaleFactorPoints(points, weights, factor) {
+		const defaultWeight = DEFAULT_SCORING_CONFIG.weights[factor];
+		return Math.round(points * weights[factor] / defaultWeight);
+	}
+
+	// ============================================
+	// SUBSTITUTE SCORING
+	// ============================================
+
+	// --- ENHANCED SMART FREE TEACHER FINDER ---
+	// Returns free, present teachers for a slot, best score first: [{ teacher, score, reason, breakdown }]
+	// absentTeachers takes names or absence windows (see ABSENCE WINDOWS); a teacher is only skipped inside their window.
+	// Pass dateKey to respect that date's one-off overrides (see DATE OVERRIDES)
+	function findFreeTeachers(data, day, periodIndex, absentTeachers, currentDaySubs, vacantPeriod = null, dateKey = null) {
+		try {
+			// Validate inputs
+			if (!data || !data.teacherNames) {
+				logger.error('Teacher data not available');
+				return [];
+			}
+
+			if (!data.days.includes(day)) {
+				logger.error('Day not found in timetable:', day);
+				return [];
+			}
+
+			if (periodIndex < 0 || periodIndex >= (data.periodHeaders?.length || 8)) {
+				logger.error('Invalid period index:', periodIndex);
+				return [];
+			}
+
+			const availableTeachers = [];
+			
+			// Extract vacant period details for scoring
+			const vacantSubject = vacantPeriod?.subject || '';
+			const vacantClassName = vacantPeriod?.className || '';
+			const vacantClassGrade = extractClassGrade(vacantClassName);
+			
+			for (const teacher of data.teacherNames) {
+				if (!isTeacherFreeForSlot(data, teacher, day, periodIndex, absentTeachers, currentDaySubs, dateKey)) continue;
+
+				// Teachers at a load cap are left out; getCapSkippedTeachers explains why
+				if (checkSubstitutionCaps(data, teacher, day, periodIndex, currentDaySubs, dateKey)) continue;
+
+				// Calculate score for this teacher
+				const score = calculateTeacherScore(data, teacher, day, vacantSubject, vacantClassName, vacantClassGrade, currentDaySubs, dateKey);
+				
+				availableTeachers.push({
+					teacher: teacher,
+					score: score.total,
+					reason: score.reason,
+					breakdown: score.breakdown
+				});
+			}
+
+			// Sort by score (highest first), then by teacher name for consistency
+			availableTeachers.sort((a, b) => {
+				if (b.score !== a.score) {
+					return b.score - a.score;
+				}
+				return a.teacher.localeCompare(b.teacher);
+			});
+
+			logger.log(`Smart teacher recommendations for ${day} period ${periodIndex + 1}:`, availableTeachers.slice(0, 5));
+
+			return availableTeachers;
+
+		} catch (error) {
+			logger.error('Error finding free teachers:', error);
+			return [];
+		}
+	}
+
+	// Present, teaching nothing that period and not already covering another class
+	function isTeacherFreeForSlot(data, teacher, day, periodIndex, absentTeachers, currentDaySubs, dateKey = null) {
+		// Skip if absent for this period
+		if (isTeacherAbsentForPeriod(data, absentTeachers, teacher, periodIndex)) return false;
+
+		// Skip staff the roster keeps off cover, or unavailable teachers
+		if (!isEligibleForSubstitution(data, teacher)) return false;
+		if (isTeacherUnavailableForPeriod(data, teacher, periodIndex, day, dateKey)) return false;
+
+		// Check if teacher has a regular class this period
+		const teacherSchedule = getTeacherScheduleForDate(data, teacher, day, dateKey);
+		if (teacherSchedule && teacherSchedule[periodIndex]) return false;
+
+		// Check if already assigned as substitute this period
+		for (const cName in currentDaySubs) {
+			if (currentDaySubs[cName][periodIndex] === teacher) return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Free teachers left out of findFreeTeachers because they reached a load cap
+	 * @param {Object} data - Parsed timetable
+	 * @param {string} day - Weekday name
+	 * @param {number} periodIndex
+	 * @param {Array<string|Object>} absentTeachers
+	 * @param {Object} currentDaySubs - The day's plan
+	 * @param {string} [dateKey] - 'YYYY-MM-DD'; needed for the weekly cap
+	 * @returns {Array<Object>} [{ teacher, cap, limit, count, reason }] by teacher
+	 */
+	function getCapSkippedTeachers(data, day, periodIndex, absentTeachers, currentDaySubs, dateKey = null) {
+		if (!data?.teacherNames || !data.days?.includes(day)) return [];
+
+		return data.teacherNames
+			.filter(teacher => isTeacherFreeForSlot(data, teacher, day, periodIndex, absentTeachers, currentDaySubs, dateKey))
+			.map(teacher => {
+				const skipped = checkSubstitutionCaps(data, teacher, day, periodIndex, currentDaySubs, dateKey);
+				return skipped ? { teacher, ...skipped } : null;
+			})
+			.filter(Boolean)
+			.sort((a, b) => a.teacher.localeCompare(b.teacher));
+	}
+
+	// --- RELEASABLE DUTIES ---
+	// Some cells are duties rather than lessons (notebook checking, a self-study period) that can wait.
+	// Their teachers stay busy for findFreeTeachers; once nobody free is left they are offered as second
+	// choices. Picking one is saved as an ordinary plan entry with 'release' as its source, and the duty it
+	// displaced is read back from the teacher's own schedule, as a merge reads the class it joined.
+
+	function isReleasableSubject(data, subject) {
+		const releasable = (getScoringConfig(data).releasableSubjects || []).map(name => name.toLowerCase());
+		const parts = String(subject || '').split('/').map(part => part.trim().toLowerCase()).filter(Boolean);
+		return parts.length > 0 && parts.every(part => releasable.includes(part));
+	}
+
+	// The duty a teacher leaves to cover a period, as 'Subject, Class' ('' when they have no cell then)
+	function getReleasedDuty(data, teacher, day, periodIndex, dateKey = null) {
+		const lesson = getTeacherScheduleForDate(data, teacher, day, dateKey)?.[periodIndex];
+		return lesson?.className ? `${lesson.subject || 'Duty'}, ${lesson.className}` : '';
+	}
+
+	/**
+	 * Present teachers whose only cell in a period is a releasable duty, best score first. Load caps and
+	 * availability windows apply as they do in findFreeTeachers.
+	 * @param {Object} data - Parsed timetable
+	 * @param {string} day - Weekday name
+	 * @param {number} periodIndex
+	 * @param {Array<string|Object>} absentTeachers
+	 * @param {Object} currentDaySubs - The day's plan, without this slot
+	 * @param {Object} [vacantPeriod] - The vacant slot, for scoring: { className, subject }
+	 * @param {string} [dateKey] - 'YYYY-MM-DD', so that date's one-off overrides count
+	 * @returns {Array<Object>} [{ teacher, score, reason, breakdown, releasedDuty }]
+	 */
+	function findReleasableTeachers(data, day, periodIndex, absentTeachers, currentDaySubs, vacantPeriod = null, dateKey = null) {
+		if (!data?.teacherNames || !data.days?.includes(day)) return [];
+
+		const vacantClassName = vacantPeriod?.className || '';
+		const candidates = [];
+		data.teacherNames.forEach(teacher => {
+			if (isTeacherAbsentForPeriod(data, absentTeachers, teacher, periodIndex)) return;
+			if (!isEligibleForSubstitution(data, teacher) || isTeacherUnavailableForPeriod(data, teacher, periodIndex, day, dateKey)) return;
+
+			const duty = getTeacherScheduleForDate(data, teacher, day, dateKey)?.[periodIndex];
+			if (!duty || !isReleasableSubject(data, duty.subject)) return;
+			if (Object.values(currentDaySubs || {}).some(periods => periods?.[periodIndex] === teacher)) return;
+			if (checkSubstitutionCaps(data, teacher, day, periodIndex, currentDaySubs, dateKey)) return;
+
+			const score = calculateTeacherScore(data, teacher, day, vacantPeriod?.subject || '', vacantClassName, extractClassGrade(vacantClassName), currentDaySubs, dateKey);
+			const releasedDuty = getReleasedDuty(data, teacher, day, periodIndex, dateKey);
+			candidates.push({
+				teacher,
+				score: score.total,
+				reason: `Releasable duty: ${releasedDuty}; ${score.reason}`,
+				breakdown: score.breakdown,
+				releasedDuty
+			});
+		});
+
+		return candidates.sort((a, b) => b.score - a.score || a.teacher.localeCompare(b.teacher));
+	}
+
+	// --- CLASS MERGES ---
+	// With nobody free, a vacant class can join a class of a nearby grade whose teacher supervises both.
+	// A merge is saved as an ordinary plan entry for that teacher, so it counts as one of their covers,
+	// with 'merge' as its source; the class it joins is read back from the teacher's own lesson.
+	const MERGE_PROXIMITY_LABELS = { 25: 'same grade', 15: 'next grade', 10: '2 grades apart', 5: '3 grades apart' };
+
+	// The class a teacher takes in a period, which a class merged under them joins ('' when they are free)
+	function getMergeHostClass(data, teacher, day, periodIndex, dateKey = null) {
+		return getTeacherScheduleForDate(data, teacher, day, dateKey)?.[periodIndex]?.className || '';
+	}
+
+	/**
+	 * Teachers in class during a vacant slot who could take the vacant class alongside their own.
+	 * Only classes calculateGradeProximity scores (up to 3 grades apart) are offered, nearest grade first,
+	 * then fewest covers that day. A merge is one of the teacher's covers, so load caps and availability
+	 * windows apply as they do in findFreeTeachers.
+	 * @param {Object} data - Parsed timetable
+	 * @param {string} day - Weekday name
+	 * @param {Object} vacantPeriod - The vacant slot: { className, periodIndex }
+	 * @param {Array<string|Object>} absentTeachers
+	 * @param {Object} currentDaySubs - The day's plan, without this slot
+	 * @param {string} [dateKey] - 'YYYY-MM-DD', so that date's one-off overrides count
+	 * @returns {Array<Object>} [{ teacher, hostClass, subject, proximity, workload, reason }]
+	 */
+	function findMergeOptions(data, day, vacantPeriod, absentTeachers, currentDaySubs, dateKey = null) {
+		const vacantGrade = extractClassGrade(vacantPeriod?.className);
+		if (!vacantGrade || !data?.teacherNames || !data.days?.includes(day)) return [];
+
+		const { className, periodIndex } = vacantPeriod;
+		const options = [];
+		data.teacherNames.forEach(teacher => {
+			if (isTeacherAbsentForPeriod(data, absentTeachers, teacher, periodIndex)) return;
+			if (!isEligibleForSubstitution(data, teacher) || isTeacherUnavailableForPeriod(data, teacher, periodIndex, day, dateKey)) return;
+
+			const lesson = getTeacherScheduleForDate(data, teacher, day, dateKey)?.[periodIndex];
+			if (!lesson?.className) return;
+			const hostClasses = lesson.className.split('/').map(name => name.trim());
+			if (hostClasses.includes(className)) return;
+
+			// One merged class per teacher and period
+			if (Object.values(currentDaySubs || {}).some(periods => periods?.[periodIndex] === teacher)) return;
+			if (checkSubstitutionCaps(data, teacher, day, periodIndex, currentDaySubs, dateKey)) return;
+
+			const proximity = calculateGradeProximity(vacantGrade, hostClasses.map(extractClassGrade));
+			if (proximity === 0) return;
+
+			options.push({
+				teacher,
+				hostClass: lesson.className,
+				subject: lesson.subject || '',
+				proximity,
+				workload: calculateSubstitutionWorkload(teacher, day, currentDaySubs, getSavedSubstitutionSources(data, dateKey)),
+				reason: `Teaching ${lesson.className}${lesson.subject ? ` (${lesson.subject})` : ''}, ${MERGE_PROXIMITY_LABELS[proximity]}`
+			});
+		});
+
+		return options.sort((a, b) => (
+			b.proximity - a.proximity ||
+			a.workload - b.workload ||
+			a.teacher.localeCompare(b.teacher)
+		));
+	}
+
+	// --- PERIOD SWAPS ---
+	// A vacant lesson can trade places with another lesson of the same class that day: the colleague
+	// teaching the other period takes the class at the vacant time, and the absent teacher teaches their
+	// own lesson at the other time. That only works while the absent teacher is in school then (a late
+	// arrival or early leave). A swap is saved as two plan entries with 'swap' as their source, so both
+	// teachers are busy at their new times.
+
+	/**
+	 * Same-day swaps for a vacant slot, nearest period first. A swap is valid when the colleague is free
+	 * at the vacant period and the absent teacher is present and free at the other one.
+	 * @param {Object} data - Parsed timetable
+	 * @param {string} day - Weekday name
+	 * @param {Object} vacantPeriod - The vacant slot: { className, periodIndex, subject, originalTeacher }
+	 * @param {Array<string|Object>} absentTeachers
+	 * @param {Object} currentDaySubs - The day's plan, without this slot
+	 * @param {string} [dateKey] - 'YYYY-MM-DD', so that date's one-off overrides count
+	 * @returns {Array<Object>} [{ periodIndex, periodName, teacher, subject, reason }]
+	 */
+	function findPeriodSwaps(data, day, vacantPeriod, absentTeachers, currentDaySubs, dateKey = null) {
+		if (!vacantPeriod?.originalTeacher || !data?.days?.includes(day)) return [];
+		// One group of a split period cannot move without the rest of the class
+		if (vacantPeriod.part) return [];
+
+		const { className, periodIndex, originalTeacher } = vacantPeriod;
+		const periodHeaders = data.periodHeaders || [];
+		const getPeriodName = index => periodHeaders[index]?.name || `Period ${index + 1}`;
+		const isCovering = (teacher, index) => Object.values(currentDaySubs || {}).some(periods => periods?.[index] === teacher);
+		const absentSchedule = getTeacherScheduleForDate(data, originalTeacher, day, dateKey) || [];
+		const swaps = [];
+
+		getClassPeriodsForDate(data, day, className, dateKey).forEach((lesson, swapIndex) => {
+			if (!lesson || swapIndex === periodIndex || currentDaySubs?.[className]?.[swapIndex]) return;
+
+			// Only a lesson one teacher takes alone can move
+			const teachers = splitTeacherNames(lesson.teacher);
+			if (teachers.length !== 1) return;
+			const [teacher] = teachers;
+			if (teacher === originalTeacher || isTeacherAbsentForPeriod(data, absentTeachers, teacher, swapIndex)) return;
+
+			if (!isTeacherFreeForSlot(data, teacher, day, periodIndex, absentTeachers, currentDaySubs, dateKey)) return;
+			if (isTeacherAbsentForPeriod(data, absentTeachers, originalTeacher, swapIndex)) return;
+			if (absentSchedule[swapIndex] || isCovering(originalTeacher, swapIndex)) return;
+
+			swaps.push({
+				periodIndex: swapIndex,
+				periodName: getPeriodName(swapIndex),
+				teacher,
+				subject: lesson.subject || '',
+				reason: `${teacher} takes ${lesson.subject || 'their lesson'} at ${getPeriodName(periodIndex)}; ${originalTeacher} teaches ${vacantPeriod.subject || 'their lesson'} at ${getPeriodName(swapIndex)}`
+			});
+		});
+
+		return swaps.sort((a, b) => (
+			Math.abs(a.periodIndex - periodIndex) - Math.abs(b.periodIndex - periodIndex) ||
+			a.periodIndex - b.periodIndex
+		));
+	}
+
+	// --- TEACHER SCORING ALGORITHM ---
+	function calculateTeacherScore(data, teacher, day, vacantSubject, vacantClassName, vacantClassGrade, currentDaySubs, dateKey = null) {
+		try {
+			let score = 0;
+			let reason = '';
+			const breakdown = {
+				subjectMatch: 0,
+				gradeMatch: 0,
+				workloadBonus: 0,
+				availabilityBonus: 0,
+				fairness: 0
+			};
+
+			const teacherData = data.teacherDetails[teacher];
+			if (!teacherData) {
+				return { total: 0, reason: 'No data available', breakdown };
+			}
+			const { weights, reliability, subjectFamilies } = getScoringConfig(data);
+
+			// Get teacher's subjects and classes, and what the roster says they can also cover
+			const teacherSubjects = Array.from(teacherData.subjects || []);
+			const qualifiedSubjects = getStaffMember(data, teacher)?.qualifiedSubjects || [];
+			const teacherClasses = getTeacherClasses(data, teacher, day);
+			const teacherGrades = teacherClasses.map(extractClassGrade);
+
+			// 1. HIGHEST PRIORITY: Subject Match (weights.subjectMatch, 40 points by default)
+			if (vacantSubject && (teacherSubjects.length > 0 || qualifiedSubjects.length > 0)) {
+				const taughtMatch = findBestSubjectMatch(vacantSubject, teacherSubjects, subjectFamilies);
+				const qualifiedMatch = findBestSubjectMatch(vacantSubject, qualifiedSubjects, subjectFamilies, 'Qualified for');
+				const subjectMatch = qualifiedMatch.score > taughtMatch.score ? qualifiedMatch : taughtMatch;
+				const subjectPoints = scaleFactorPoints(subjectMatch.score, weights, 'subjectMatch');
+				if (subjectPoints > 0) {
+					breakdown.subjectMatch = subjectPoints;
+					score += subjectPoints;
+					reason = subjectMatch.reason;
+				}
+			}
+
+			// 2. MEDIUM PRIORITY: Grade/Class Match (weights.gradeMatch, 25 points by default)
+			if (vacantClassGrade && teacherGrades.length > 0) {
+				if (teacherGrades.includes(vacantClassGrade)) {
+					breakdown.gradeMatch = weights.gradeMatch;
+					score += weights.gradeMatch;
+					if (!reason && weights.gradeMatch > 0) reason = `Teaches Grade ${vacantClassGrade}`;
+				} else {
+					// Partial points for nearby grades
+					const gradeBonus = scaleFactorPoints(calculateGradeProximity(vacantClassGrade, teacherGrades), weights, 'gradeMatch');
+					breakdown.gradeMatch = gradeBonus;
+					score += gradeBonus;
+					if (!reason && gradeBonus > 0) reason = `Teaches nearby grades`;
+				}
+			}
+
+			// 3. LOW PRIORITY: Workload considerations (weights.workload, 20 points by default)
+			const currentWorkload = teacherData.workload[day] || 0;
+			const substitutionWorkload = calculateSubstitutionWorkload(teacher, day, currentDaySubs, getSavedSubstitutionSources(data, dateKey));
+			const totalWorkload = currentWorkload + substitutionWorkload;
+			
+			// Bonus for teachers with lower workload
+			const maxWorkload = 8; // Maximum periods per day
+			const workloadBonus = scaleFactorPoints(Math.max(0, (maxWorkload - totalWorkload) * 2.5), weights, 'workload');
+			breakdown.workloadBonus = workloadBonus;
+			score += workloadBonus;
+
+			// 4. AVAILABILITY BONUS: Experience and reliability (weights.availability, 15 points by default)
+			const availabilityBonus = scaleFactorPoints(calculateAvailabilityBonus(teacher, teacherData, reliability), weights, 'availability');
+			breakdown.availabilityBonus = availabilityBonus;
+			score += availabilityBonus;
+
+			// 5. FAIRNESS: teachers who covered most lately lose up to weights.fairness (10 points by default)
+			const fairness = calculateFairnessPenalty(data, teacher, dateKey);
+			breakdown.fairness = fairness;
+			score += fairness;
+
+			// Set default reason if none found
+			if (!reason) {
+				if (score > 15) reason = 'Good general availability';
+				else if (score > 5) reason = 'Available teacher';
+				else reason = 'Last resort option';
+			}
+
+			return {
+				total: Math.max(0, score),
+				reason: reason,
+				breakdown: breakdown
+			};
+
+		} catch (error) {
+			logger.error('Error calculating teacher score:', error);
+			return { total: 0, reason: 'Error in calculation', breakdown: {} };
+		}
+	}
+
+	// --- HELPER FUNCTIONS FOR SCORING ---
+	function extractClassGrade(className) {
+		if (!className) return null;
+		const match = className.match(/(\d+)/);
+		return match ? parseInt(match[1]) : null;
+	}
+
+	function getTeacherClasses(data, teacher, day) {
+		try {
+			const teacherData = data.teacherDetails[teacher];
+			if (!teacherData || !teacherData.schedule[day]) return [];
+			
+			const classes = [];
+			teacherData.schedule[day].forEach(period => {
+				if (period && period.className && !classes.includes(period.className)) {
+					classes.push(period.className);
+				}
+			});
+			return classes;
+		} catch (error) {
+			logger.error('Error getting teacher classes:', error);
+			return [];
+		}
+	}
+
+	// Points are out of the default subject weight (40); calculateTeacherScore rescales them.
+	// verb starts the reason, e.g. 'Qualified for' for subjects the roster lists.
+	function findBestSubjectMatch(vacantSubject, teacherSubjects, subjectFamilies = DEFAULT_SCORING_CONFIG.subjectFamilies, verb = 'Teaches') {
+		const vacantLower = vacantSubject.toLowerCase().trim();
+		
+		// Exact match
+		for (const subject of teacherSubjects) {
+			if (subject.toLowerCase().trim() === vacantLower) {
+				return { score: 40, reason: `${verb} ${subject}` };
+			}
+		}
+
+		// Partial matches through the subject families, first family wins
+		for (const match of subjectFamilies) {
+			if (match.patterns.some(pattern => vacantLower.includes(pattern))) {
+				for (const subject of teacherSubjects) {
+					const subjectLower = subject.toLowerCase();
+					if (match.patterns.some(pattern => subjectLower.includes(pattern))) {
+						return { score: match.score, reason: `${verb} related subject (${match.name})` };
+					}
+				}
+			}
+		}
+
+		return { score: 0, reason: '' };
+	}
+
+	function calculateGradeProximity(vacantGrade, teacherGrades) {
+		if (!vacantGrade || !teacherGrades.length) return 0;
+		
+		let bestProximity = 0;
+		for (const grade of teacherGrades) {
+			if (grade === null) continue;
+			
+			const distance = Math.abs(vacantGrade - grade);
+			let proximityPoints = 0;
+			
+			if (distance === 0) proximityPoints = 25; // Exact match
+			else if (distance === 1) proximityPoints = 15; // Adjacent grade
+			else if (distance === 2) proximityPoints = 10; // 2 grades away
+			else if (distance <= 3) proximityPoints = 5;  // 3 grades away
+			
+			bestProximity = Math.max(bestProximity, proximityPoints);
+		}
+		
+		return bestProximity;
+	}
+
+	// A swap trades two periods rather than adding one, so entries sources marks 'swap' are not counted
+	function calculateSubstitutionWorkload(teacher, day, currentDaySubs, sources = null) {
+		let substitutionCount = 0;
+		for (const cName in currentDaySubs) {
+			for (const period in currentDaySubs[cName]) {
+				if (currentDaySubs[cName][period] === teacher && sources?.[cName]?.[period] !== 'swap') {
+					substitutionCount++;
+				}
+			}
+		}
+		return substitutionCount;
+	}
+
+	// How the saved plan for dateKey filled each slot, or null without one
+	function getSavedSubstitutionSources(data, dateKey) {
+		return (dateKey && data?.substitutionHistory?.[dateKey]?.sources) || null;
+	}
+
+	// Covers from saved plans (data.substitutionHistory, keyed by date) between from and to inclusive,
+	// leaving out excludeDateKey, whose plan is passed in as the current day's, and both entries of a swap
+	function countHistorySubstitutions(data, from, to, excludeDateKey = null) {
+		const counts = {};
+		Object.entries(data?.substitutionHistory || {}).forEach(([dateKey, record]) => {
+			if (dateKey < from || dateKey > to || dateKey === excludeDateKey) return;
+			Object.entries(record?.plan || {}).forEach(([className, periods]) => {
+				Object.entries(periods || {}).forEach(([periodIndex, teacher]) => {
+					if (record.sources?.[className]?.[periodIndex] === 'swap') return;
+					if (data.teacherDetails?.[teacher]) counts[teacher] = (counts[teacher] || 0) + 1;
+				});
+			});
+		});
+		return counts;
+	}
+
+	function getWeekStartDateKey(dateKey) {
+		const [year, month, day] = dateKey.split('-').map(Number);
+		const weekday = new Date(year, month - 1, day).getDay();
+		return addDaysToDateKey(dateKey, -((weekday + 6) % 7));
+	}
+
+	/**
+	 * The first load cap a teacher would break by covering a period, or null
+	 * @param {Object} data - Parsed timetable
+	 * @param {string} teacher
+	 * @param {string} day - Weekday name
+	 * @param {number} periodIndex - The period to cover
+	 * @param {Object} currentDaySubs - The day's plan
+	 * @param {string} [dateKey] - 'YYYY-MM-DD'; the weekly cap is only checked with it
+	 * @returns {{cap: string, limit: number, count: number, reason: string}|null}
+	 */
+	function checkSubstitutionCaps(data, teacher, day, periodIndex, currentDaySubs, dateKey = null) {
+		const { caps } = getScoringConfig(data);
+		const todayCount = calculateSubstitutionWorkload(teacher, day, currentDaySubs, getSavedSubstitutionSources(data, dateKey));
+
+		if (caps.perDay > 0 && todayCount >= caps.perDay) {
+			return { cap: 'perDay', limit: caps.perDay, count: todayCount, reason: `${todayCount} cover${todayCount === 1 ? '' : 's'} on ${day} already (cap ${caps.perDay})` };
+		}
+
+		if (caps.perWeek > 0 && dateKey) {
+			const weekStart = getWeekStartDateKey(dateKey);
+			const weekCount = (countHistorySubstitutions(data, weekStart, addDaysToDateKey(weekStart, 6), dateKey)[teacher] || 0) + todayCount;
+			if (weekCount >= caps.perWeek) {
+				return { cap: 'perWeek', limit: caps.perWeek, count: weekCount, reason: `${weekCount} cover${weekCount === 1 ? '' : 's'} this week already (cap ${caps.perWeek})` };
+			}
+		}
+
+		if (caps.consecutive > 0) {
+			const schedule = getTeacherScheduleForDate(data, teacher, day, dateKey) || [];
+			const isBusy = index => index === periodIndex || Boolean(schedule[index]) ||
+				Object.values(currentDaySubs || {}).some(periods => periods?.[index] === teacher);
+			let first = periodIndex;
+			let last = periodIndex;
+			while (first > 0 && isBusy(first - 1) && periodsAdjoin(data, first - 1, first)) first--;
+			while (isBusy(last + 1) && periodsAdjoin(data, last, last + 1)) last++;
+			const run = last - first + 1;
+			if (run > caps.consecutive) {
+				return { cap: 'consecutive', limit: caps.consecutive, count: run, reason: `Would teach ${run} periods in a row (cap ${caps.consecutive})` };
+			}
+		}
+
+		return null;
+	}
+
+	// A break between two periods (one ends before the next starts) ends a run of teaching.
+	// Periods without readable bell times are taken to adjoin.
+	function periodsAdjoin(data, periodIndex, nextIndex) {
+		const periodHeaders = data?.periodHeaders || [];
+		const end = parseTimeLabel(String(periodHeaders[periodIndex]?.time || '').split('-')[1]);
+		const start = parseTimeLabel(String(periodHeaders[nextIndex]?.time || '').split('-')[0]);
+		return end == null || start == null || start <= end;
+	}
+
+	// Negative points: the teacher with the most covers over the last fairnessDays (before dateKey) loses
+	// the full fairness weight, everyone else in proportion. Nothing without a date or saved history.
+	function calculateFairnessPenalty(data, teacher, dateKey = null) {
+		if (!dateKey || !data?.substitutionHistory) return 0;
+		const { weights, fairnessDays } = getScoringConfig(data);
+		const counts = countHistorySubstitutions(data, addDaysToDateKey(dateKey, -fairnessDays), addDaysToDateKey(dateKey, -1));
+		const mostCovers = Math.max(0, ...Object.values(counts));
+		if (!counts[teacher] || mostCovers === 0) return 0;
+		return -scaleFactorPoints(10 * counts[teacher] / mostCovers, weights, 'fairness');
+	}
+
+	// Points are out of the default availability weight (15); calculateTeacherScore rescales them
+	function calculateAvailabilityBonus(teacher, teacherData, reliability = DEFAULT_SCORING_CONFIG.reliability) {
+		let bonus = 10; // Base availability bonus
+		
+		// Experience bonus based on total periods
+		const totalPeriods = teacherData.periodCount || 0;
+		if (totalPeriods > 30) bonus += 5; // Very experienced
+		else if (totalPeriods > 20) bonus += 3; // Experienced
+		else if (totalPeriods < 10) bonus -= 2; // Less experienced
+		
+		// Subject diversity bonus
+		const subjectCount = teacherData.subjects ? teacherData.subjects.size : 0;
+		if (subjectCount > 3) bonus += 3;
+		else if (subjectCount > 1) bonus += 1;
+		
+		// Reliability adjustments for specific teachers, from the scoring settings
+		if (reliability[teacher]) {
+			bonus += reliability[teacher];
+		}
+		
+		return Math.max(0, Math.min(15, bonus)); // Cap between 0-15
+	}
+
+	function isTeacherUnavailableForPeriod(data, teacher, periodIndex, day = null, dateKey = null) {
+		return !isTeacherAvailableForPeriod(data, teacher, periodIndex, day, dateKey);
+	}
+
+	// ============================================
+	// SUBSTITUTION PLANS
+	// ============================================
+
+	/**
+	 * The group period a class, or a teacher's 'Class 1 / Class 2' slot, is part of
+	 * @param {Object} data - Parsed timetable
+	 * @param {string} day - Weekday name
+	 * @param {number} periodIndex
+	 * @param {string} className
+	 * @returns {Object|null} { id, day, periodIndex, subject, teachers, classNames, label }
+	 */
+	function getGroupPeriod(data, day, periodIndex, className) {
+		const classes = String(className || '').split('/').map(name => name.trim());
+		return (data?.groupPeriods || []).find(group => (
+			group.day === day && group.periodIndex === periodIndex && classes.some(name => group.classNames.includes(name))
+		)) || null;
+	}
+
+	/**
+	 * The plan key for one group of a split period. Each group is covered on its own, so the plan holds
+	 * '<class> [<label>]' beside the class's own key, as it holds a group period's label.
+	 * @param {string} className
+	 * @param {string} label - The part's label (see PARALLEL_ENTRY_PATTERN)
+	 * @returns {string} e.g. 'Class 11 Science [Maths]'
+	 */
+	function getParallelPartKey(className, label) {
+		return `${className} [${label}]`;
+	}
+
+	/**
+	 * The class and part label a plan key names
+	 * @param {string} key - A plan key
+	 * @returns {{ className: string, label: string }|null} null for a key that is not a split period's part
+	 */
+	function parseParallelPartKey(key) {
+		const match = String(key || '').match(/^(.+?) \[([^\]]+)\]$/);
+		return match ? { className: match[1], label: match[2] } : null;
+	}
+
+	// A vacant slot is planned under its class, or under its part's key in a split period
+	function getVacantSlotKey(period) {
+		return period.part ? getParallelPartKey(period.className, period.part) : period.className;
+	}
+
+	// A group period with some of its teachers still there is a partial vacancy: they keep the group, so
+	// plans leave it alone unless someone is added by hand
+	function describeGroupVacancy(data, period, periodIndex, absentTeachers) {
+		const group = period?.group ? (data.groupPeriods || []).find(item => item.id === period.group) : null;
+		if (!group) return {};
+		const presentTeachers = group.teachers.filter(teacher => !isTeacherAbsentForPeriod(data, absentTeachers, teacher, periodIndex));
+		return { groupTeachers: group.teachers, presentTeachers, partial: presentTeachers.length > 0 };
+	}
+
+	/**
+	 * Vacant slots for a day's absences, by period and class. A group period's slot carries groupTeachers,
+	 * presentTeachers and partial (see describeGroupVacancy); a split period's part carries its plan key as
+	 * className and its label as part.
+	 * @param {Object} data - Parsed timetable
+	 * @param {string} day - Weekday name
+	 * @param {Array<string|Object>} [absentTeachers] - Names or absence windows
+	 * @param {string} [dateKey] - 'YYYY-MM-DD', so that date's one-off overrides count
+	 * @returns {Array<Object>}
+	 */
+	function getSubstitutionVacantSlots(data, day, absentTeachers = [], dateKey = null) {
+		const periodHeaders = data?.periodHeaders || [];
+		const vacantSlots = [];
+
+		absentTeachers.map(normalizeAbsence).filter(Boolean).forEach(absence => {
+			const schedule = getTeacherScheduleForDate(data, absence.teacher, day, dateKey);
+			if (!schedule) return;
+			const absentPeriodIndexes = getAbsencePeriodIndexes(data, absence);
+
+			schedule.forEach((period, periodIndex) => {
+				if (!period || !absentPeriodIndexes.includes(periodIndex)) return;
+
+				vacantSlots.push({
+					...period,
+					...describeGroupVacancy(data, period, periodIndex, absentTeachers),
+					className: getVacantSlotKey(period),
+					periodIndex,
+					originalTeacher: absence.teacher,
+					periodName: periodHeaders[periodIndex]?.name || `Period ${periodIndex + 1}`,
+					periodTime: periodHeaders[periodIndex]?.time || ''
+				});
+			});
+		});
+
+		return vacantSlots.sort((a, b) => (
+			a.periodIndex - b.periodIndex ||
+			a.className.localeCompare(b.className) ||
+			a.subject.localeCompare(b.subject)
+		));
+	}
+
+	// Vacant slots that need cover, in absent-teacher order; a slot shared by two absent teachers appears
+	// once for each, and a partial group vacancy is left out
+	function collectVacantSlots(data, day, absentTeachers, dateKey) {
+		const vacantSlots = [];
+
+		absentTeachers.map(normalizeAbsence).filter(Boolean).forEach(absence => {
+			const schedule = getTeacherScheduleForDate(data, absence.teacher, day, dateKey);
+			if (!schedule) return;
+			const absentPeriodIndexes = getAbsencePeriodIndexes(data, absence);
+
+			schedule.forEach((period, periodIndex) => {
+				if (!period || !absentPeriodIndexes.includes(periodIndex)) return;
+				if (describeGroupVacancy(data, period, periodIndex, absentTeachers).partial) return;
+				vacantSlots.push({
+					...period,
+					className: getVacantSlotKey(period),
+					periodIndex,
+					originalTeacher: absence.teacher
+				});
+			});
+		});
+
+		return vacantSlots;
+	}
+
+	// Earlier picks for the slots being planned are discarded so they can be chosen again
+	function clearVacantSlotsFromPlan(plan, vacantSlots) {
+		vacantSlots.forEach(slot => {
+			const classPlan = plan[slot.className];
+			if (!classPlan) return;
+			delete classPlan[slot.periodIndex];
+			if (Object.keys(classPlan).length === 0) {
+				delete plan[slot.className];
+			}
+		});
+	}
+
+	// A shared slot keeps one plan entry, so it is assigned once and its teacher covers every copy
+	function groupVacantSlotsByCell(vacantSlots) {
+		const groups = new Map();
+		vacantSlots.forEach(slot => {
+			const key = `${slot.className}::${slot.periodIndex}`;
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push(slot);
+		});
+		return [...groups.values()];
+	}
+
+	/**
+	 * Build a substitution plan for one day by first pick. Each vacant slot, taken in absent-teacher order,
+	 * goes to its highest-scoring free teacher; earlier picks for those slots are discarded. Kept to compare
+	 * against generateSubstitutionPlan, which solves each period as a whole.
+	 * @param {Object} data - Parsed timetable from parseTimetableData
+	 * @param {string} day - Weekday name
+	 * @param {Array<string|Object>} absentTeachers - Teachers on leave, as names or absence windows
+	 * @param {Object} [basePlan] - Existing { className: { periodIndex: teacher } } plan to build on
+	 * @param {string} [dateKey] - 'YYYY-MM-DD' the plan is for, so that date's one-off overrides count
+	 * @returns {{ plan: Object, vacantSlots: Array<Object>, assignments: Array<Object>, unfilled: Array<Object>, totalScore: number }}
+	 */
+	function generateGreedySubstitutionPlan(data, day, absentTeachers = [], basePlan = {}, dateKey = null) {
+		const plan = JSON.parse(JSON.stringify(basePlan || {}));
+		const vacantSlots = collectVacantSlots(data, day, absentTeachers, dateKey);
+		const assignments = [];
+		const unfilled = [];
+
+		clearVacantSlotsFromPlan(plan, vacantSlots);
+
+		groupVacantSlotsByCell(vacantSlots).forEach(group => {
+			const { className, periodIndex } = group[0];
+			const freeTeachers = findFreeTeachers(data, day, periodIndex, absentTeachers, plan, group[0], dateKey);
+			if (freeTeachers.length === 0) {
+				unfilled.push(...group);
+				return;
+			}
+
+			const best = freeTeachers[0];
+			if (!plan[className]) {
+				plan[className] = {};
+			}
+			plan[className][periodIndex] = best.teacher;
+			group.forEach(slot => {
+				assignments.push({ ...slot, substitute: best.teacher, score: best.score, reason: best.reason });
+			});
+			logger.log(`Assigned ${best.teacher} to ${className} Period ${periodIndex + 1} (Score: ${best.score}, Reason: ${best.reason})`);
+		});
+
+		return { plan, vacantSlots, assignments, unfilled, totalScore: sumAssignmentScores(assignments) };
+	}
+
+	function sumAssignmentScores(assignments) {
+		return assignments.reduce((total, item) => total + (item.score || 0), 0);
+	}
+
+	/**
+	 * Minimum-cost assignment of rows to distinct columns (Hungarian method, O(rows² × columns))
+	 * @param {Array<Array<number>>} cost - rows × columns matrix with rows <= columns
+	 * @returns {Array<number>} Column chosen for each row
+	 */
+	function solveMinCostAssignment(cost) {
+		const rowCount = cost.length;
+		const columnCount = rowCount ? cost[0].length : 0;
+		const rowPotential = new Array(rowCount + 1).fill(0);
+		const columnPotential = new Array(columnCount + 1).fill(0);
+		const columnRow = new Array(columnCount + 1).fill(0);
+		const previousColumn = new Array(columnCount + 1).fill(0);
+
+		for (let row = 1; row <= rowCount; row++) {
+			columnRow[0] = row;
+			let column = 0;
+			const slack = new Array(columnCount + 1).fill(Infinity);
+			const visited = new Array(columnCount + 1).fill(false);
+
+			do {
+				visited[column] = true;
+				const currentRow = columnRow[column];
+				let delta = Infinity;
+				let nextColumn = 0;
+
+				for (let candidate = 1; candidate <= columnCount; candidate++) {
+					if (visited[candidate]) continue;
+					const reduced = cost[currentRow - 1][candidate - 1] - rowPotential[currentRow] - columnPotential[candidate];
+					if (reduced < slack[candidate]) {
+						slack[candidate] = reduced;
+						previousColumn[candidate] = column;
+					}
+					if (slack[candidate] < delta) {
+						delta = slack[candidate];
+						nextColumn = candidate;
+					}
+				}
+
+				for (let candidate = 0; candidate <= columnCount; candidate++) {
+					if (visited[candidate]) {
+						rowPotential[columnRow[candidate]] += delta;
+						columnPotential[candidate] -= delta;
+					} else {
+						slack[candidate] -= delta;
+					}
+				}
+				column = nextColumn;
+			} while (columnRow[column] !== 0);
+
+			do {
+				const previous = previousColumn[column];
+				columnRow[column] = columnRow[previous];
+				column = previous;
+			} while (column);
+		}
+
+		const assignment = new Array(rowCount).fill(-1);
+		for (let column = 1; column <= columnCount; column++) {
+			if (columnRow[column]) assignment[columnRow[column] - 1] = column - 1;
+		}
+		return assignment;
+	}
+
+	// Covering one more slot always outweighs any difference in total score
+	const COVERAGE_WEIGHT = 1000000;
+	const BLOCKED_COST = COVERAGE_WEIGHT * 1000;
+
+	/**
+	 * Build a substitution plan for one day with a minimum-cost matching per period: within a period it covers
+	 * as many slots as possible, then maximises the total calculateTeacherScore. Periods are solved in order
+	 * and each one is scored against the picks already made, so workload bonuses carry across the day.
+	 * Same arguments and result shape as generateGreedySubstitutionPlan.
+	 */
+	function generateOptimalSubstitutionPlan(data, day, absentTeachers = [], basePlan = {}, dateKey = null) {
+		const plan = JSON.parse(JSON.stringify(basePlan || {}));
+		const vacantSlots = collectVacantSlots(data, day, absentTeachers, dateKey);
+		const assignments = [];
+		const unfilled = [];
+
+		clearVacantSlotsFromPlan(plan, vacantSlots);
+
+		const groups = groupVacantSlotsByCell(vacantSlots);
+		const periodIndexes = [...new Set(vacantSlots.map(slot => slot.periodIndex))].sort((a, b) => a - b);
+		periodIndexes.forEach(periodIndex => {
+			const periodGroups = groups.filter(group => group[0].periodIndex === periodIndex);
+			const candidatesByGroup = periodGroups.map(group => (
+				findFreeTeachers(data, day, periodIndex, absentTeachers, plan, group[0], dateKey)
+			));
+			const teachers = [...new Set(candidatesByGroup.flat().map(candidate => candidate.teacher))];
+
+			// Each group may take a teacher column or its own "leave open" column
+			const cost = candidatesByGroup.map((candidates, groupIndex) => [
+				...teachers.map(teacher => {
+					const candidate = candidates.find(item => item.teacher === teacher);
+					return candidate ? -(COVERAGE_WEIGHT + candidate.score) : BLOCKED_COST;
+				}),
+				...periodGroups.map((_, openIndex) => (openIndex === groupIndex ? 0 : BLOCKED_COST))
+			]);
+
+			solveMinCostAssignment(cost).forEach((column, groupIndex) => {
+				const group = periodGroups[groupIndex];
+				const candidate = column < teachers.length
+					? candidatesByGroup[groupIndex].find(item => item.teacher === teachers[column])
+					: null;
+
+				if (!candidate) {
+					unfilled.push(...group);
+					return;
+				}
+
+				const { className } = group[0];
+				if (!plan[className]) {
+					plan[className] = {};
+				}
+				plan[className][periodIndex] = candidate.teacher;
+				group.forEach(slot => {
+					assignments.push({ ...slot, substitute: candidate.teacher, score: candidate.score, reason: candidate.reason });
+				});
+				logger.log(`Assigned ${candidate.teacher} to ${className} Period ${periodIndex + 1} (Score: ${candidate.score}, Reason: ${candidate.reason})`);
+			});
+		});
+
+		return { plan, vacantSlots, assignments, unfilled, totalScore: sumAssignmentScores(assignments) };
+	}
+
+	/**
+	 * Build a substitution plan for one day with the per-period solver, alongside the first-pick plan.
+	 * Workload bonuses make periods depend on each other, so in rare cases first pick scores a little
+	 * higher; the better of the two (more slots covered, then higher total score) is returned.
+	 * @param {Object} data - Parsed timetable from parseTimetableData
+	 * @param {string} day - Weekday name
+	 * @param {Array<string|Object>} absentTeachers - Teachers on leave, as names or absence windows
+	 * @param {Object} [basePlan] - Existing { className: { periodIndex: teacher } } plan to build on
+	 * @param {string} [dateKey] - 'YYYY-MM-DD' the plan is for, so that date's one-off overrides count
+	 * Each unfilled slot carries its releasableOptions and mergeOptions (see findReleasableTeachers and
+	 * findMergeOptions); releasing a duty or merging a class is suggested, never made. Group periods that
+	 * some of their teachers still take are listed in partial and not planned.
+	 * @returns {{ plan: Object, vacantSlots: Array<Object>, assignments: Array<Object>, unfilled: Array<Object>, partial: Array<Object>, totalScore: number,
+	 *   greedy: Object, comparison: { method: 'matching'|'first-pick', covered: number, greedyCovered: number, extraCovered: number, scoreGain: number } }}
+	 */
+	function generateSubstitutionPlan(data, day, absentTeachers = [], basePlan = {}, dateKey = null) {
+		const solved = generateOptimalSubstitutionPlan(data, day, absentTeachers, basePlan, dateKey);
+		const greedy = generateGreedySubstitutionPlan(data, day, absentTeachers, basePlan, dateKey);
+		const solvedCovered = countCoveredSlots(solved.plan, solved.vacantSlots);
+		const greedyCovered = countCoveredSlots(greedy.plan, greedy.vacantSlots);
+		const useGreedy = greedyCovered > solvedCovered || (greedyCovered === solvedCovered && greedy.totalScore > solved.totalScore);
+		const chosen = useGreedy ? greedy : solved;
+		const covered = useGreedy ? greedyCovered : solvedCovered;
+
+		return {
+			...chosen,
+			unfilled: chosen.unfilled.map(slot => ({
+				...slot,
+				releasableOptions: findReleasableTeachers(data, day, slot.periodIndex, absentTeachers, chosen.plan, slot, dateKey),
+				mergeOptions: findMergeOptions(data, day, slot, absentTeachers, chosen.plan, dateKey)
+			})),
+			partial: getSubstitutionVacantSlots(data, day, absentTeachers, dateKey).filter(slot => slot.partial),
+			greedy,
+			comparison: {
+				method: useGreedy ? 'first-pick' : 'matching',
+				covered,
+				greedyCovered,
+				extraCovered: covered - greedyCovered,
+				scoreGain: chosen.totalScore - greedy.totalScore
+			}
+		};
+	}
+
+	// Distinct class-period slots with a teacher in the plan (a shared slot counts once)
+	function countCoveredSlots(plan, vacantSlots) {
+		const keys = new Set(vacantSlots
+			.filter(slot => plan[slot.className]?.[slot.periodIndex])
+			.map(slot => `${slot.className}::${slot.periodIndex}`));
+		return keys.size;
+	}
+
+	// ============================================
+	// TIMING PROFILES
+	// ============================================
+
+	// A profile names one set of bell times: { id, name, from, to, slots: [{ name, start, end }] }.
+	// from/to are 'MM-DD' for a range that repeats every year (it may wrap past New Year) or
+	// 'YYYY-MM-DD' for a one-off range. A profile without from/to only applies on calendar days
+	// that name it (e.g. half days). Slot times are labels such as '8:30 AM'.
+
+	/**
+	 * Convert a time label such as '8:30 AM' or '01:30 PM' to minutes after midnight
+	 * @param {string} label
+	 * @returns {number|null}
+	 */
+	function parseTimeLabel(label) {
+		const match = String(label || '').trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+		if (!match) return null;
+
+		let hours = parseInt(match[1], 10);
+		const minutes = parseInt(match[2], 10);
+		const meridiem = match[3].toUpperCase();
+		if (hours < 1 || hours > 12 || minutes > 59) return null;
+		if (meridiem === 'PM' && hours !== 12) hours += 12;
+		if (meridiem === 'AM' && hours === 12) hours = 0;
+		return hours * 60 + minutes;
+	}
+
+	/**
+	 * Check the shape of timing profiles read from the timings file
+	 * @param {Object|Array} config - { profiles: [...] } or the profile array itself
+	 * @returns {Array<Object>} Valid profiles with slot start/end in minutes and a 'start - end' time label
+	 */
+	function normalizeTimingProfiles(config) {
+		const profiles = Array.isArray(config) ? config : (config?.profiles || []);
+		const rangePattern = /^(\d{4}-)?\d{2}-\d{2}$/;
+
+		return profiles.map((profile, index) => {
+			const label = profile?.name || profile?.id || `Profile ${index + 1}`;
+			const hasRange = Boolean(profile?.from || profile?.to);
+			if (!profile?.id || (hasRange && (!rangePattern.test(profile.from || '') || !rangePattern.test(profile.to || '')))) {
+				logger.warn(`Timing profile "${label}" needs an id and either no dates or from/to dates as MM-DD or YYYY-MM-DD; skipped`);
+				return null;
+			}
+
+			const slots = (profile.slots || []).map(slot => ({
+				name: slot?.name || '',
+				start: parseTimeLabel(slot?.start),
+				end: parseTimeLabel(slot?.end),
+				time: `${slot?.start || ''} - ${slot?.end || ''}`
+			}));
+			const badSlot = slots.find(slot => !slot.name || slot.start == null || slot.end == null || slot.end <= slot.start);
+			if (slots.length === 0 || badSlot) {
+				logger.warn(`Timing profile "${label}" has ${slots.length === 0 ? 'no slots' : `an unreadable slot (${badSlot.name || 'unnamed'}: ${badSlot.time})`}; skipped`);
+				return null;
+			}
+
+			return { id: profile.id, name: profile.name || profile.id, from: profile.from || null, to: profile.to || null, slots };
+		}).filter(Boolean);
+	}
+
+	/**
+	 * Check whether a date falls inside an effective range (a timing profile or an override rule)
+	 * @param {{ from: string, to: string }} range - 'MM-DD' or 'YYYY-MM-DD' bounds, both inclusive
+	 * @param {string} dateKey - 'YYYY-MM-DD'
+	 * @returns {boolean}
+	 */
+	function isDateInRange(range, dateKey) {
+		if (!range || !range.from || !range.to || !dateKey) return false;
+
+		// One-off ranges compare full dates; yearly ranges compare month and day only
+		if (range.from.length > 5 || range.to.length > 5) {
+			const fromKey = range.from.length > 5 ? range.from : `${dateKey.slice(0, 4)}-${range.from}`;
+			const toKey = range.to.length > 5 ? range.to : `${dateKey.slice(0, 4)}-${range.to}`;
+			return dateKey >= fromKey && dateKey <= toKey;
+		}
+
+		const monthDay = dateKey.slice(5);
+		return range.from <= range.to
+			? monthDay >= range.from && monthDay <= range.to
+			: monthDay >= range.from || monthDay <= range.to;
+	}
+
+	/**
+	 * Pick the timing profile in effect on a date. Earlier profiles win, so list one-off ranges first.
+	 * @param {Array<Object>} profiles - Normalized timing profiles
+	 * @param {string} dateKey - 'YYYY-MM-DD'
+	 * @param {string} [profileId] - Profile named by the academic calendar for the day; wins over date ranges
+	 * @returns {Object|null}
+	 */
+	function resolveTimingProfile(profiles, dateKey, profileId = null) {
+		const named = profileId ? (profiles || []).find(profile => profile.id === profileId) : null;
+		return named || (profiles || []).find(profile => isDateInRange(profile, dateKey)) || null;
+	}
+
+	/**
+	 * Build a profile from the '<br>' times in the timetable file's header row, used when no profile matches
+	 * @param {Array<Object>} periodHeaders - [{ name, time }]
+	 * @returns {Object}
+	 */
+	function createTimingProfileFromHeaders(periodHeaders = []) {
+		return {
+			id: 'timetable-file',
+			name: 'Timetable file',
+			from: null,
+			to: null,
+			slots: periodHeaders.map(header => {
+				const [start, end] = String(header.time || '').split('-').map(part => part.trim());
+				return { name: header.name, start: parseTimeLabel(start), end: parseTimeLabel(end), time: header.time || '' };
+			})
+		};
+	}
+
+	/**
+	 * Use a profile's bell times for data.periodHeaders. The file's own headers are kept as filePeriodHeaders.
+	 * @param {Object} data - Parsed timetable
+	 * @param {Object} profile - Normalized timing profile
+	 * @returns {boolean} false when the profile's slot count does not match the timetable columns
+	 */
+	function applyTimingProfile(data, profile) {
+		if (!data || !profile) return false;
+		if (!data.filePeriodHeaders) {
+			data.filePeriodHeaders = data.periodHeaders || [];
+		}
+
+		if (data.filePeriodHeaders.length && profile.slots.length !== data.filePeriodHeaders.length) {
+			logger.warn(`Timing profile "${profile.name}" has ${profile.slots.length} slots but the timetable has ${data.filePeriodHeaders.length} columns; keeping the file's times`);
+			return false;
+		}
+
+		data.periodHeaders = profile.slots.map(slot => ({ name: slot.name, time: slot.time }));
+		data.timingProfile = { id: profile.id, name: profile.name, from: profile.from, to: profile.to };
+		return true;
+	}
+
+	// ============================================
+	// ACADEMIC CALENDAR
+	// ============================================
+
+	// The calendar says which dates are school days: { session: { from, to }, weeklyOff: [...], events: [...] }.
+	// An event is { name, type, date } or { name, type, from, to } with the timing-profile date forms, plus an
+	// optional timingProfile id. type is 'holiday' (no school), 'half-day', 'exam' or 'event'.
+
+	const CALENDAR_EVENT_TYPES = ['holiday', 'half-day', 'exam', 'event'];
+
+	/**
+	 * Check the shape of the academic calendar file
+	 * @param {Object} config - Parsed calendar JSON
+	 * @param {Object} [options]
+	 * @param {Array<Object>} [options.timingProfiles] - Normalized profiles, to warn about unknown timingProfile ids
+	 * @returns {{ session: Object|null, weeklyOff: Array<string>, events: Array<Object> }}
+	 */
+	function normalizeAcademicCalendar(config, options = {}) {
+		const rangePattern = /^(\d{4}-)?\d{2}-\d{2}$/;
+		const session = config?.session;
+		const hasSession = Boolean(session && /^\d{4}-\d{2}-\d{2}$/.test(session.from || '') && /^\d{4}-\d{2}-\d{2}$/.test(session.to || ''));
+		if (session && !hasSession) {
+			logger.warn('Calendar session needs from/to dates as YYYY-MM-DD; treating every date as in session');
+		}
+
+		const events = (config?.events || []).map((event, index) => {
+			const label = event?.name || `Event ${index + 1}`;
+			const from = event?.date || event?.from;
+			const to = event?.date || event?.to;
+			if (!CALENDAR_EVENT_TYPES.includes(event?.type)) {
+				logger.warn(`Calendar event "${label}" has type "${event?.type}"; expected ${CALENDAR_EVENT_TYPES.join(', ')}; skipped`);
+				return null;
+			}
+			if (!rangePattern.test(from || '') || !rangePattern.test(to || '')) {
+				logger.warn(`Calendar event "${label}" needs a date, or from/to dates, as MM-DD or YYYY-MM-DD; skipped`);
+				return null;
+			}
+			if (event.timingProfile && options.timingProfiles && !options.timingProfiles.some(profile => profile.id === event.timingProfile)) {
+				logger.warn(`Calendar event "${label}" names timing profile "${event.timingProfile}", which the timings file does not have; seasonal times apply`);
+			}
+			return { name: event.name || event.type, type: event.type, from, to, timingProfile: event.timingProfile || null };
+		}).filter(Boolean);
+
+		return {
+			session: hasSession ? { from: session.from, to: session.to } : null,
+			weeklyOff: Array.isArray(config?.weeklyOff) ? config.weeklyOff : ['Sunday'],
+			events
+		};
+	}
+
+	function getWeekdayName(dateKey) {
+		const [year, month, day] = String(dateKey).split('-').map(Number);
+		return ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][new Date(year, month - 1, day).getDay()];
+	}
+
+	/**
+	 * Describe one date: whether school runs, why not, and which events and timing profile apply
+	 * @param {Object|null} calendar - Normalized calendar; null means Sundays off and nothing else
+	 * @param {string} dateKey - 'YYYY-MM-DD'
+	 * @param {Array<string>} [schoolDays] - Weekdays the timetable has (data.days); other weekdays are off
+	 * @returns {{ dateKey: string, weekday: string, isSchoolDay: boolean, reason: string, events: Array<Object>, timingProfileId: string|null }}
+	 */
+	function getCalendarDay(calendar, dateKey, schoolDays = []) {
+		const weekday = getWeekdayName(dateKey);
+		const events = (calendar?.events || []).filter(event => isDateInRange(event, dateKey));
+		const holiday = events.find(event => event.type === 'holiday');
+		const weeklyOff = calendar?.weeklyOff || ['Sunday'];
+
+		let reason = '';
+		if (holiday) {
+			reason = holiday.name;
+		} else if (calendar?.session && (dateKey < calendar.session.from || dateKey > calendar.session.to)) {
+			reason = 'Outside the school session';
+		} else if (weeklyOff.includes(weekday) || (schoolDays.length > 0 && !schoolDays.includes(weekday))) {
+			reason = weekday;
+		}
+
+		return {
+			dateKey,
+			weekday,
+			isSchoolDay: !reason,
+			reason,
+			events,
+			timingProfileId: reason ? null : (events.find(event => event.timingProfile)?.timingProfile || null)
+		};
+	}
+
+	/**
+	 * Find the first school day on or after a date
+	 * @param {Object|null} calendar - Normalized calendar
+	 * @param {string} dateKey - 'YYYY-MM-DD' to start from (included)
+	 * @param {Array<string>} [schoolDays] - Weekdays the timetable has
+	 * @returns {Object|null} The calendar day, or null when none falls within a year
+	 */
+	function findSchoolDay(calendar, dateKey, schoolDays = []) {
+		const [year, month, day] = String(dateKey).split('-').map(Number);
+		const date = new Date(year, month - 1, day);
+		for (let i = 0; i < 366; i++) {
+			const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+			const calendarDay = getCalendarDay(calendar, key, schoolDays);
+			if (calendarDay.isSchoolDay) return calendarDay;
+			date.setDate(date.getDate() + 1);
+		}
+		return null;
+	}
+
+	// ============================================
+	// SCHEDULE OVERRIDE RULES
+	// ============================================
+
+	// A rule rewrites matching cells: { id, name, enabled, from, to, match, set }.
+	// match: { day, class, period, subject, teacher }, each a value or a list of values. Days, classes and
+	// period names ('Period 7') must equal the cell's; subject matches anywhere in the cell's subject and
+	// teacher matches any one teacher in the cell. Fields left out match every cell.
+	// set: { subject, teacher }. teacher 'auto' picks the best free teacher, '' leaves the period without
+	// a teacher, and a field left out keeps the cell's own value.
+	// from/to are optional and use the timing-profile forms ('MM-DD' yearly or 'YYYY-MM-DD' one-off).
+
+	const OVERRIDE_MATCH_FIELDS = ['day', 'class', 'period', 'subject', 'teacher'];
+
+	/**
+	 * Check the shape of override rules read from the rules file
+	 * @param {Object|Array} config - { rules: [...] } or the rule array itself
+	 * @returns {Array<Object>} Valid rules with every match field as a list (empty means "any")
+	 */
+	function normalizeOverrideRules(config) {
+		const rules = Array.isArray(config) ? config : (config?.rules || []);
+		const rangePattern = /^(\d{4}-)?\d{2}-\d{2}$/;
+		const toList = value => (value == null ? [] : [].concat(value))
+			.map(item => String(item).trim())
+			.filter(Boolean);
+
+		return rules.map((rule, index) => {
+			const label = rule?.name || rule?.id || `Rule ${index + 1}`;
+			if (!rule?.id) {
+				logger.warn(`Override rule "${label}" needs an id; skipped`);
+				return null;
+			}
+			if (Boolean(rule.from) !== Boolean(rule.to) || (rule.from && (!rangePattern.test(rule.from) || !rangePattern.test(rule.to)))) {
+				logger.warn(`Override rule "${label}" needs both from and to as MM-DD or YYYY-MM-DD, or neither; skipped`);
+				return null;
+			}
+
+			const set = rule.set || {};
+			if (set.subject === undefined && set.teacher === undefined) {
+				logger.warn(`Override rule "${label}" does not set a subject or teacher; skipped`);
+				return null;
+			}
+
+			const match = {};
+			OVERRIDE_MATCH_FIELDS.forEach(field => {
+				match[field] = toList(rule.match?.[field]);
+			});
+
+			return {
+				id: String(rule.id),
+				name: rule.name || String(rule.id),
+				enabled: rule.enabled !== false,
+				from: rule.from || null,
+				to: rule.to || null,
+				match,
+				set: {
+					subject: set.subject == null ? undefined : String(set.subject).trim(),
+					teacher: set.teacher === undefined ? undefined : String(set.teacher ?? '').trim()
+				}
+			};
+		}).filter(Boolean);
+	}
+
+	/**
+	 * Check whether a rule applies on a date. Rules without from/to apply every day they are enabled.
+	 * @param {Object} rule - Normalized override rule
+	 * @param {string} [dateKey] - 'YYYY-MM-DD'; dated rules never apply without one
+	 * @param {Array<string>} [disabledRuleIds] - Rules switched off on this device
+	 * @returns {boolean}
+	 */
+	function isOverrideRuleActive(rule, dateKey, disabledRuleIds = []) {
+		if (!rule || !rule.enabled || disabledRuleIds.includes(rule.id)) return false;
+		return !rule.from || isDateInRange(rule, dateKey);
+	}
+
+	function matchesOverrideRule(rule, cell) {
+		const { match } = rule;
+		const lower = value => String(value || '').toLowerCase();
+		const equalsAny = (values, value) => values.length === 0 || values.some(item => lower(item) === lower(value));
+
+		if (!equalsAny(match.day, cell.day) || !equalsAny(match.class, cell.className) || !equalsAny(match.period, cell.periodName)) {
+			return false;
+		}
+		if (match.subject.length > 0 && !match.subject.some(item => lower(cell.entry.subject).includes(lower(item)))) {
+			return false;
+		}
+		if (match.teacher.length > 0) {
+			const teachers = splitTeacherNames(cell.entry.teacher);
+			return teachers.some(teacher => equalsAny(match.teacher, teacher));
+		}
+		return true;
+	}
+
+	function findBestFreeTeacher(data, day, periodIndex, currentDaySubs, vacantPeriod) {
+		const candidates = findFreeTeachers(data, day, periodIndex, [], currentDaySubs, vacantPeriod);
+		return candidates && candidates.length ? candidates[0].teacher : null;
+	}
+
+	function updateTeacherDetailsForAssignment(data, day, className, periodIndex, newTeacher, originalTeacher, subject='Self Study') {
+		try {
+			const teacherDetails = data?.teacherDetails;
+			if (!teacherDetails) return;
+
+			// Remove original teacher's assignment for this slot
+			if (originalTeacher && teacherDetails[originalTeacher]) {
+				const sched = teacherDetails[originalTeacher].schedule?.[day];
+				if (sched && sched[periodIndex] && sched[periodIndex].className === className) {
+					sched[periodIndex] = null;
+					if (teacherDetails[originalTeacher].workload?.[day] > 0) teacherDetails[originalTeacher].workload[day]--;
+					if (teacherDetails[originalTeacher].periodCount > 0) teacherDetails[originalTeacher].periodCount--;
+				}
+			}
+
+			// Assign new teacher for this slot
+			if (newTeacher) {
+				if (!teacherDetails[newTeacher]) {
+					teacherDetails[newTeacher] = { schedule: {}, periodCount: 0, subjects: new Set(), workload: {} };
+				}
+				const expectedPeriods = data?.periodHeaders?.length || 8;
+				if (!teacherDetails[newTeacher].schedule[day]) {
+					teacherDetails[newTeacher].schedule[day] = Array(expectedPeriods).fill(null);
+				}
+				teacherDetails[newTeacher].schedule[day][periodIndex] = { subject, className };
+				teacherDetails[newTeacher].periodCount = (teacherDetails[newTeacher].periodCount || 0) + 1;
+				teacherDetails[newTeacher].workload[day] = (teacherDetails[newTeacher].workload[day] || 0) + 1;
+				try { teacherDetails[newTeacher].subjects.add(subject); } catch(e) { /* ignore if not a Set */ }
+			}
+		} catch (e) { logger.error('updateTeacherDetailsForAssignment error:', e); }
+	}
+
+	/**
+	 * Rewrite one cell as a regular allocation (not a substitute overlay) and keep teacherDetails in step
+	 * @returns {Object|null} The override record, or null when the cell does not exist
+	 */
+	function applyOverrideToCell(data, rule, day, className, periodIndex, dayPlan = {}) {
+		try {
+			const entry = data?.timetable?.[day]?.[className]?.[periodIndex];
+			if (!entry) return null;
+
+			const original = { subject: entry.subject, teacher: entry.teacher || null };
+			const subject = rule.set.subject !== undefined ? rule.set.subject : entry.subject;
+			let teacher = entry.teacher || null;
+			if (rule.set.teacher === 'auto') {
+				// Pick the teacher BEFORE mutating teacherDetails so the outgoing teacher still counts as busy
+				teacher = findBestFreeTeacher(data, day, periodIndex, dayPlan, { subject, className });
+			} else if (rule.set.teacher !== undefined) {
+				teacher = rule.set.teacher || null;
+			}
+
+			entry.subject = subject;
+			entry.teacher = teacher;
+			// The rule's subject and teacher replace every part of a split period
+			const partKeys = (entry.parallel || []).map(part => getParallelPartKey(className, part.label));
+			delete entry.parallel;
+
+			splitTeacherNames(original.teacher).forEach(name => {
+				updateTeacherDetailsForAssignment(data, day, className, periodIndex, null, name);
+			});
+			splitTeacherNames(teacher).forEach(name => {
+				updateTeacherDetailsForAssignment(data, day, className, periodIndex, name, null, subject);
+			});
+
+			// Ensure no substitution plan entry remains for this slot
+			[className, ...partKeys].forEach(key => {
+				if (dayPlan[key]?.[periodIndex]) {
+					delete dayPlan[key][periodIndex];
+				}
+			});
+
+			entry.override = { ruleId: rule.id, ruleName: rule.name, original };
+			return { ruleId: rule.id, ruleName: rule.name, day, className, periodIndex, original, subject, teacher };
+		} catch (e) {
+			logger.error(`Error applying override rule "${rule.name}":`, e);
+			return null;
+		}
+	}
+
+	/**
+	 * Apply the active override rules to the parsed timetable. Rules run in file order and a cell
+	 * changed by an earlier rule is left alone. Changed cells carry entry.override = { ruleId, ruleName,
+	 * original } and every change is listed in data.overrides.
+	 * @param {Object} data - Parsed timetable; mutated
+	 * @param {Array<Object>} rules - Normalized override rules
+	 * @param {Object} [options]
+	 * @param {string} [options.dateKey] - Date the rules are resolved for
+	 * @param {Array<string>} [options.disabledRuleIds] - Rules switched off on this device
+	 * @param {Function} [options.getDayPlan] - day => substitution plan, so rewritten slots are cleared from it
+	 * @returns {Array<Object>} The overrides applied by this call
+	 */
+	function applyOverrideRules(data, rules, options = {}) {
+		const getDayPlan = options.getDayPlan || (() => ({}));
+		const timetable = data?.timetable;
+		if (!timetable) return [];
+
+		const headers = data.filePeriodHeaders || data.periodHeaders || [];
+		const applied = [];
+		data.overrides = data.overrides || [];
+
+		(rules || [])
+			.filter(rule => isOverrideRuleActive(rule, options.dateKey, options.disabledRuleIds))
+			.forEach(rule => {
+				(data.days || Object.keys(timetable)).forEach(day => {
+					Object.keys(timetable[day] || {}).forEach(className => {
+						(timetable[day][className] || []).forEach((entry, periodIndex) => {
+							if (!entry || entry.override) return;
+							const periodName = headers[periodIndex]?.name || `Period ${periodIndex + 1}`;
+							if (!matchesOverrideRule(rule, { day, className, periodName, entry })) return;
+
+							const override = applyOverrideToCell(data, rule, day, className, periodIndex, getDayPlan(day));
+							if (override) applied.push(override);
+						});
+					});
+				});
+			});
+
+		data.overrides.push(...applied);
+		return applied;
+	}
+
+	// ============================================
+	// DATE OVERRIDES
+	// ============================================
+
+	// A date override changes cells on particular dates without touching the weekly timetable:
+	// { id, date, expires, className, periods: [periodIndex], subject, teacher, note }.
+	// It applies on date and on the same weekday each week up to expires (inclusive). expires defaults
+	// to date, so most overrides are one-off. The app keeps them in data.dateOverrides and layers them
+	// over data.timetable for the date being shown or planned; a later override wins over an earlier one.
+
+	/**
+	 * Check the shape of date overrides from storage or a file
+	 * @param {Array<Object>} overrides
+	 * @returns {Array<Object>} Valid overrides with sorted period indexes and expires filled in
+	 */
+	function normalizeDateOverrides(overrides) {
+		const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+		return (Array.isArray(overrides) ? overrides : []).map((override, index) => {
+			const label = override?.note || override?.id || `Override ${index + 1}`;
+			const periods = [...new Set((override?.periods || []).map(Number).filter(periodIndex => Number.isInteger(periodIndex) && periodIndex >= 0))]
+				.sort((a, b) => a - b);
+			const expires = override?.expires || override?.date;
+
+			if (!override?.id || !datePattern.test(override.date || '') || !datePattern.test(expires || '') || expires < override.date) {
+				logger.warn(`Date override "${label}" needs an id, a YYYY-MM-DD date and an expiry on or after it; skipped`);
+				return null;
+			}
+			if (!override.className || periods.length === 0 || !String(override.subject || '').trim()) {
+				logger.warn(`Date override "${label}" needs a class, at least one period and a subject; skipped`);
+				return null;
+			}
+
+			return {
+				id: String(override.id),
+				date: override.date,
+				expires,
+				className: override.className,
+				periods,
+				subject: String(override.subject).trim(),
+				teacher: String(override.teacher || '').trim(),
+				note: String(override.note || '').trim(),
+				createdAt: override.createdAt || 0
+			};
+		}).filter(Boolean).sort((a, b) => a.createdAt - b.createdAt);
+	}
+
+	/**
+	 * Check whether an override applies on a date: inside date..expires and on the same weekday
+	 * @param {Object} override - Normalized date override
+	 * @param {string} dateKey - 'YYYY-MM-DD'
+	 * @returns {boolean}
+	 */
+	function isDateOverrideActive(override, dateKey) {
+		if (!override || !dateKey) return false;
+		if (dateKey < override.date || dateKey > (override.expires || override.date)) return false;
+		return getWeekdayName(dateKey) === getWeekdayName(override.date);
+	}
+
+	/**
+	 * Check whether an override's last date has passed
+	 * @param {Object} override - Normalized date override
+	 * @param {string} todayKey - 'YYYY-MM-DD'
+	 * @returns {boolean}
+	 */
+	function isDateOverrideExpired(override, todayKey) {
+		return Boolean(override && todayKey && (override.expires || override.date) < todayKey);
+	}
+
+	/**
+	 * List the overrides in effect on a date for one weekday of the timetable
+	 * @param {Object} data - Parsed timetable carrying dateOverrides
+	 * @param {string} day - Weekday name; a dateKey on another weekday yields nothing
+	 * @param {string} [dateKey] - 'YYYY-MM-DD'
+	 * @returns {Array<Object>}
+	 */
+	function getDateOverridesForDate(data, day, dateKey) {
+		if (!dateKey || !data?.dateOverrides?.length || getWeekdayName(dateKey) !== day) return [];
+		return data.dateOverrides.filter(override => isDateOverrideActive(override, dateKey));
+	}
+
+	function findDateOverride(overrides, className, periodIndex) {
+		for (let index = overrides.length - 1; index >= 0; index--) {
+			const override = overrides[index];
+			if (override.className === className && override.periods.includes(periodIndex)) return override;
+		}
+		return null;
+	}
+
+	/**
+	 * A class's periods for one date: the weekly timetable with that date's overrides layered on top
+	 * @param {Object} data - Parsed timetable
+	 * @param {string} day - Weekday name
+	 * @param {string} className
+	 * @param {string} [dateKey] - 'YYYY-MM-DD'; without it the weekly periods are returned as-is
+	 * @returns {Array<Object>} Entries; overridden ones are copies carrying dateOverride = { id, note, original }
+	 */
+	function getClassPeriodsForDate(data, day, className, dateKey) {
+		const periods = data?.timetable?.[day]?.[className] || [];
+		const overrides = getDateOverridesForDate(data, day, dateKey);
+		if (overrides.length === 0) return periods;
+
+		return periods.map((entry, periodIndex) => {
+			const override = entry ? findDateOverride(overrides, className, periodIndex) : null;
+			if (!override) return entry;
+
+			return {
+				...entry,
+				subject: override.subject,
+				teacher: override.teacher || null,
+				parallel: null,
+				dateOverride: {
+					id: override.id,
+					note: override.note,
+					original: { subject: entry.subject, teacher: entry.teacher || null }
+				}
+			};
+		});
+	}
+
+	/**
+	 * A teacher's periods for one date: overridden cells free the teachers they replace and book the
+	 * teachers they name. Slots booked by an override carry dateOverride = { id, note }.
+	 * @param {Object} data - Parsed timetable
+	 * @param {string} teacher
+	 * @param {string} day - Weekday name
+	 * @param {string} [dateKey] - 'YYYY-MM-DD'; without it the weekly schedule is returned as-is
+	 * @returns {Array<Object|null>|null} [{ subject, className }] by period index
+	 */
+	function getTeacherScheduleForDate(data, teacher, day, dateKey) {
+		const schedule = data?.teacherDetails?.[teacher]?.schedule?.[day] || null;
+		const overrides = getDateOverridesForDate(data, day, dateKey);
+		if (overrides.length === 0) return schedule;
+
+		const periodCount = Math.max(schedule?.length || 0, data.periodHeaders?.length || 8);
+		const dated = Array.from({ length: periodCount }, (_, periodIndex) => {
+			const slot = schedule?.[periodIndex];
+			if (!slot) return null;
+
+			// A merged slot ('Class 9 / Class 10') keeps the classes that are not overridden
+			const classes = String(slot.className || '')
+				.split('/')
+				.map(name => name.trim())
+				.filter(name => name && !findDateOverride(overrides, name, periodIndex));
+			return classes.length > 0 ? { ...slot, className: classes.join(' / ') } : null;
+		});
+
+		overrides.forEach(override => {
+			const teachers = splitTeacherNames(override.teacher);
+			const teacherIndex = teachers.indexOf(teacher);
+			if (teacherIndex === -1) return;
+			const subject = override.subject.split('/').map(part => part.trim())[teacherIndex] || override.subject;
+
+			override.periods.forEach(periodIndex => {
+				if (periodIndex >= periodCount || !data.timetable?.[day]?.[override.className]?.[periodIndex]) return;
+				if (findDateOverride(overrides, override.className, periodIndex) !== override) return;
+
+				const existing = dated[periodIndex];
+				dated[periodIndex] = {
+					subject: existing ? `${existing.subject} / ${subject}` : subject,
+					className: existing ? `${existing.className} / ${override.className}` : override.className,
+					dateOverride: { id: override.id, note: override.note }
+				};
+			});
+		});
+
+		return dated;
+	}
+
+	// ============================================
+	// LEAVES
+	// ============================================
+
+	// A leave keeps a teacher away for every school day in a date range: { id, teacher, from, to, reason }.
+	// from/to are 'YYYY-MM-DD' and inclusive. Leave adds the teacher to each school day's absent list, so
+	// vacancies come from that date's own schedule (its weekday, date overrides and calendar).
+
+	/**
+	 * Check the shape of leaves from storage or a file
+	 * @param {Array<Object>} leaves
+	 * @returns {Array<Object>} Valid leaves sorted by first date, then teacher
+	 */
+	function normalizeLeaves(leaves) {
+		const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+		return (Array.isArray(leaves) ? leaves : []).map((leave, index) => {
+			const label = leave?.teacher || leave?.id || `Leave ${index + 1}`;
+			const to = leave?.to || leave?.from;
+
+			if (!leave?.id || !String(leave.teacher || '').trim()) {
+				logger.warn(`Leave "${label}" needs an id and a teacher; skipped`);
+				return null;
+			}
+			if (!datePattern.test(leave.from || '') || !datePattern.test(to || '') || to < leave.from) {
+				logger.warn(`Leave "${label}" needs YYYY-MM-DD from/to dates with to on or after from; skipped`);
+				return null;
+			}
+
+			return {
+				id: String(leave.id),
+				teacher: String(leave.teacher).trim(),
+				from: leave.from,
+				to,
+				reason: String(leave.reason || '').trim(),
+				createdAt: leave.createdAt || 0
+			};
+		}).filter(Boolean).sort((a, b) => a.from.localeCompare(b.from) || a.teacher.localeCompare(b.teacher));
+	}
+
+	function isLeaveActive(leave, dateKey) {
+		return Boolean(leave && dateKey && dateKey >= leave.from && dateKey <= leave.to);
+	}
+
+	/**
+	 * Teachers on leave on a date. Nobody needs cover on a day without school.
+	 * @param {Array<Object>} leaves - Normalized leaves
+	 * @param {string} dateKey - 'YYYY-MM-DD'
+	 * @param {Object} [calendarDay] - getCalendarDay result for the date
+	 * @returns {Array<string>}
+	 */
+	function getTeachersOnLeave(leaves, dateKey, calendarDay = null) {
+		if (calendarDay && !calendarDay.isSchoolDay) return [];
+		return [...new Set((leaves || []).filter(leave => isLeaveActive(leave, dateKey)).map(leave => leave.teacher))];
+	}
+
+	function addDaysToDateKey(dateKey, days) {
+		const [year, month, day] = String(dateKey).split('-').map(Number);
+		const date = new Date(year, month - 1, day + days);
+		return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+	}
+
+	/**
+	 * School days a leave covers
+	 * @param {Object|null} calendar - Normalized calendar
+	 * @param {Object} leave - Normalized leave
+	 * @param {Array<string>} [schoolDays] - Weekdays the timetable has
+	 * @returns {Array<string>} Date keys, at most a year's worth
+	 */
+	function getLeaveSchoolDays(calendar, leave, schoolDays = []) {
+		const dateKeys = [];
+		for (let dateKey = leave.from, i = 0; dateKey <= leave.to && i < 366; dateKey = addDaysToDateKey(dateKey, 1), i++) {
+			if (getCalendarDay(calendar, dateKey, schoolDays).isSchoolDay) dateKeys.push(dateKey);
+		}
+		return dateKeys;
+	}
+
+	// ============================================
+	// SUBSTITUTION HISTORY
+	// ============================================
+
+	// Saved day plans are the ledger: { date, day, plan, sources, absences }. sources mirrors the plan with
+	// 'auto' (Auto Assign or a quick pick), 'manual' (picked by hand), 'merge' (joined to the substitute's
+	// own class, see CLASS MERGES), 'swap' (see PERIOD SWAPS) or 'release' (see RELEASABLE DUTIES) per slot; absences is that date's full
+	// absent list, names or absence windows, leave included. Rows are read against the timetable as it is
+	// now, so plans saved before a source label existed show an empty one.
+
+	const SUBSTITUTION_SOURCES = ['auto', 'manual', 'merge', 'swap', 'release'];
+
+	/**
+	 * One row per vacant slot in the saved plans, covered or not
+	 * @param {Object} data - Parsed timetable
+	 * @param {Array<Object>|Object} records - Day records, as an array or keyed by date
+	 * @returns {Array<Object>} [{ date, day, periodIndex, periodName, className, subject, absentTeacher, substitute, source, mergedWith, releasedDuty, groupCover }]
+	 *   by date, period and class; substitute is '' for a slot left open, mergedWith '' unless it is a merge,
+	 *   releasedDuty '' unless the substitute left a duty for it, and groupCover names the teachers who kept a
+	 *   group period nobody was added to
+	 */
+	function buildSubstitutionLedger(data, records) {
+		const rows = [];
+
+		(Array.isArray(records) ? records : Object.values(records || {})).forEach(record => {
+			if (!record?.date || !data?.days?.includes(record.day)) return;
+
+			getSubstitutionVacantSlots(data, record.day, record.absences || record.absentTeachers || [], record.date).forEach(slot => {
+				const substitute = record.plan?.[slot.className]?.[slot.periodIndex] || '';
+				const source = record.sources?.[slot.className]?.[slot.periodIndex];
+				const pick = substitute && SUBSTITUTION_SOURCES.includes(source) ? source : '';
+				rows.push({
+					date: record.date,
+					day: record.day,
+					periodIndex: slot.periodIndex,
+					periodName: slot.periodName,
+					className: slot.className,
+					subject: slot.subject || '',
+					absentTeacher: slot.originalTeacher,
+					substitute,
+					source: pick,
+					mergedWith: pick === 'merge' ? getMergeHostClass(data, substitute, record.day, slot.periodIndex, record.date) : '',
+					releasedDuty: pick === 'release' ? getReleasedDuty(data, substitute, record.day, slot.periodIndex, record.date) : '',
+					groupCover: !substitute && slot.partial ? slot.presentTeachers.join(', ') : ''
+				});
+			});
+		});
+
+		return rows.sort((a, b) => (
+			a.date.localeCompare(b.date) ||
+			a.periodIndex - b.periodIndex ||
+			a.className.localeCompare(b.className)
+		));
+	}
+
+	/**
+	 * Monthly coverage report from ledger rows. A teacher's absences count the days and periods they
+	 * had lessons to cover; covered counts the slots they took for others.
+	 * @param {Array<Object>} ledger - buildSubstitutionLedger rows
+	 * @param {string} month - 'YYYY-MM'
+	 * @returns {{ month: string, rows: Array<Object>, teachers: Array<Object>, totals: Object }}
+	 *   teachers: [{ teacher, daysAbsent, periodsAbsent, covered, uncovered }] by name;
+	 *   totals: { days, slots, covered, uncovered, auto, manual, merged, swapped, released, group }; a group
+	 *   period kept by its other teachers counts as covered
+	 */
+	function summarizeSubstitutionMonth(ledger, month) {
+		const rows = (ledger || []).filter(row => row.date.startsWith(`${month}-`));
+		const teachers = new Map();
+		const getTeacher = teacher => {
+			if (!teachers.has(teacher)) {
+				teachers.set(teacher, { teacher, absentDates: new Set(), periodsAbsent: 0, covered: 0, uncovered: 0 });
+			}
+			return teachers.get(teacher);
+		};
+
+		rows.forEach(row => {
+			const absent = getTeacher(row.absentTeacher);
+			absent.absentDates.add(row.date);
+			absent.periodsAbsent++;
+			if (row.substitute) {
+				getTeacher(row.substitute).covered++;
+			} else if (!row.groupCover) {
+				absent.uncovered++;
+			}
+		});
+
+		const coveredRows = rows.filter(row => row.substitute || row.groupCover);
+		return {
+			month,
+			rows,
+			teachers: [...teachers.values()]
+				.map(({ teacher, absentDates, periodsAbsent, covered, uncovered }) => ({ teacher, daysAbsent: absentDates.size, periodsAbsent, covered, uncovered }))
+				.sort((a, b) => a.teacher.localeCompare(b.teacher)),
+			totals: {
+				days: new Set(rows.map(row => row.date)).size,
+				slots: rows.length,
+				covered: coveredRows.length,
+				uncovered: rows.length - coveredRows.length,
+				auto: coveredRows.filter(row => row.source === 'auto').length,
+				manual: coveredRows.filter(row => row.source === 'manual').length,
+				merged: coveredRows.filter(row => row.source === 'merge').length,
+				swapped: coveredRows.filter(row => row.source === 'swap').length,
+				released: coveredRows.filter(row => row.source === 'release').length,
+				group: coveredRows.filter(row => !row.substitute).length
+			}
+		};
+	}
+
+	/**
+	 * CSV rows for a monthly report: the per-teacher summary, a blank row, then the month's ledger
+	 * @param {Object} report - summarizeSubstitutionMonth result
+	 * @returns {Array<Array<string|number>>} Rows for formatCsvRows
+	 */
+	function buildSubstitutionReportCsvRows(report) {
+		const sourceLabels = { auto: 'Auto', manual: 'Manual', merge: 'Merged', swap: 'Swapped', release: 'Released' };
+		return [
+			['Teacher', 'Days absent', 'Periods absent', 'Covers taken', 'Left open'],
+			...report.teachers.map(entry => [entry.teacher, entry.daysAbsent, entry.periodsAbsent, entry.covered, entry.uncovered]),
+			[],
+			['Date', 'Day', 'Period', 'Class', 'Subject', 'Absent teacher', 'Substitute', 'Picked'],
+			...report.rows.map(row => [
+				row.date,
+				row.day,
+				row.periodName,
+				row.className,
+				row.subject,
+				row.absentTeacher,
+				row.substitute || (row.groupCover ? `Group: ${row.groupCover}` : 'Not covered'),
+				row.mergedWith ? `${sourceLabels.merge} with ${row.mergedWith}`
+					: row.releasedDuty ? `${sourceLabels.release} from ${row.releasedDuty}` : sourceLabels[row.source] || ''
+			])
+		];
+	}
+
+	// Public API
+	const TimetableEngine = {
+		setLogger,
+		tokenizeCsv,
+		formatCsvField,
+		formatCsvRows,
+		readTimetableMetadata,
+		convertTimetableJsonToText,
+		splitTeacherNames,
+		formatTimetableCell,
+		getClassSection,
+		getEntryRoomBookings,
+		getRoomSchedule,
+		STAFF_ROLES,
+		normalizeStaffRoster,
+		resolveStaffName,
+		normalizeTeacherSpelling,
+		findNearDuplicateName,
+		getStaffMember,
+		isEligibleForSubstitution,
+		parseTimetableData,
+		validateTimetable,
+		TEACHER_AVAILABILITY_RULES,
+		normalizeAvailabilityRules,
+		isAvailabilityRuleActive,
+		getTeacherAvailabilityRule,
+		formatAvailabilityWindow,
+		getTeacherAvailabilityWindowLabel,
+		isTeacherAvailableForPeriod,
+		isTeacherUnavailableForPeriod,
+		normalizeAbsence,
+		hasAbsenceWindow,
+		getAbsentTeacherNames,
+		getAbsencePeriodIndexes,
+		isTeacherAbsentForPeriod,
+		formatAbsenceWindow,
+		DEFAULT_SCORING_CONFIG,
+		normalizeScoringConfig,
+		findFreeTeachers,
+		getCapSkippedTeachers,
+		isReleasableSubject,
+		findReleasableTeachers,
+		getReleasedDuty,
+		findMergeOptions,
+		getMergeHostClass,
+		findPeriodSwaps,
+		checkSubstitutionCaps,
+		calculateFairnessPenalty,
+		calculateTeacherScore,
+		extractClassGrade,
+		getTeacherClasses,
+		findBestSubjectMatch,
+		calculateGradeProximity,
+		calculateSubstitutionWorkload,
+		calculateAvailabilityBonus,
+		getGroupPeriod,
+		getParallelPartKey,
+		parseParallelPartKey,
+		getSubstitutionVacantSlots,
+		generateSubstitutionPlan,
+		generateGreedySubstitutionPlan,
+		generateOptimalSubstitutionPlan,
+		solveMinCostAssignment,
+		parseTimeLabel,
+		normalizeTimingProfiles,
+		isDateInRange,
+		resolveTimingProfile,
+		createTimingProfileFromHeaders,
+		applyTimingProfile,
+		normalizeAcademicCalendar,
+		getCalendarDay,
+		findSchoolDay,
+		normalizeOverrideRules,
+		isOverrideRuleActive,
+		applyOverrideRules,
+		normalizeDateOverrides,
+		isDateOverrideActive,
+		isDateOverrideExpired,
+		getDateOverridesForDate,
+		getClassPeriodsForDate,
+		getTeacherScheduleForDate,
+		normalizeLeaves,
+		isLeaveActive,
+		getTeachersOnLeave,
+		getLeaveSchoolDays,
+		buildSubstitutionLedger,
+		summarizeSubstitutionMonth,
+		buildSubstitutionReportCsvRows
+	};
+
+	if (typeof module !== 'undefined' && module.exports) {
+		module.exports = TimetableEngine;
+	} else {
+		global.TimetableEngine = TimetableEngine;
+	}
+
+})(typeof window !== 'undefined' ? window : globalThis);
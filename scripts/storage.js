@@ -0,0 +1,274 @@
+/**
+ * Local Persistence Module
+ * Veer Patta Public School Timetable Command Center
+ *
+ * Features:
+ * - IndexedDB-backed storage that survives reloads and device restarts
+ * - Substitution plans keyed by calendar date (YYYY-MM-DD)
+ * - One-off timetable changes for specific dates
+ * - Teacher leave over date ranges
+ * - Promise-based helpers that degrade to no-ops when IndexedDB is missing
+ *
+ * Exposed as window.TimetableStore
+ */
+
+(function() {
+	'use strict';
+
+	const DB_NAME = 'vpps-timetable';
+	const DB_VERSION = 3;
+
+	// Object stores created on upgrade. Add new stores here and bump DB_VERSION.
+	const STORES = {
+		substitutionPlans: { keyPath: 'date' },
+		dateOverrides: { keyPath: 'id' },
+		leaves: { keyPath: 'id' }
+	};
+
+	let dbPromise = null;
+
+	/**
+	 * Check whether IndexedDB is available in this browser
+	 * @returns {boolean}
+	 */
+	function isSupported() {
+		try {
+			return typeof indexedDB !== 'undefined' && indexedDB !== null;
+		} catch (e) {
+			return false;
+		}
+	}
+
+	/**
+	 * Open (and upgrade if needed) the timetable database
+	 * @returns {Promise<IDBDatabase>}
+	 */
+	function openDatabase() {
+		if (!isSupported()) {
+			return Promise.reject(new Error('IndexedDB is not available'));
+		}
+
+		if (dbPromise) return dbPromise;
+
+		dbPromise = new Promise((resolve, reject) => {
+			const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+			request.onupgradeneeded = () => {
+				const db = request.result;
+				Object.entries(STORES).forEach(([storeName, options]) => {
+					if (!db.objectStoreNames.contains(storeName)) {
+						db.createObjectStore(storeName, options);
+					}
+				});
+			};
+
+			request.onsuccess = () => {
+				const db = request.result;
+				// Another tab upgraded the schema: drop this connection so it can proceed
+				db.onversionchange = () => {
+					db.close();
+					dbPromise = null;
+				};
+				resolve(db);
+			};
+
+			request.onerror = () => {
+				dbPromise = null;
+				reject(request.error || new Error('Failed to open timetable database'));
+			};
+
+			request.onblocked = () => {
+				console.warn('[Store] Database upgrade blocked by another open tab');
+			};
+		});
+
+		return dbPromise;
+	}
+
+	/**
+	 * Run a single request against one object store
+	 * @param {string} storeName - Object store name
+	 * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+	 * @param {Function} operation - Receives the store and returns an IDBRequest
+	 * @returns {Promise<*>} Request result
+	 */
+	async function runRequest(storeName, mode, operation) {
+		const db = await openDatabase();
+
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(storeName, mode);
+			const request = operation(transaction.objectStore(storeName));
+
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onerror = () => reject(transaction.error || request.error);
+			transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+		});
+	}
+
+	function get(storeName, key) {
+		return runRequest(storeName, 'readonly', store => store.get(key));
+	}
+
+	function getAll(storeName) {
+		return runRequest(storeName, 'readonly', store => store.getAll());
+	}
+
+	function put(storeName, value) {
+		return runRequest(storeName, 'readwrite', store => store.put(value));
+	}
+
+	function remove(storeName, key) {
+		return runRequest(storeName, 'readwrite', store => store.delete(key));
+	}
+
+	// ============================================
+	// SUBSTITUTION PLANS
+	// ============================================
+
+	/**
+	 * Load every saved substitution plan
+	 * @returns {Promise<Array<Object>>} Records shaped { date, day, absentTeachers, absenceWindows, plan, sources, swaps, updatedAt }
+	 */
+	function getSubstitutionPlans() {
+		if (!isSupported()) return Promise.resolve([]);
+		return getAll('substitutionPlans');
+	}
+
+	/**
+	 * Save the plan for one calendar date
+	 * @param {Object} record - { date: 'YYYY-MM-DD', day, absentTeachers, absenceWindows, plan, sources, swaps }; absenceWindows maps a teacher to their part-day window,
+ *   sources mirrors the plan with 'auto', 'manual', 'merge', 'swap' or 'release' for each pick, and swaps maps a swapped slot to the period it traded with
+	 * @returns {Promise<void>}
+	 */
+	function saveSubstitutionPlan(record) {
+		if (!isSupported() || !record?.date) return Promise.resolve();
+
+		return put('substitutionPlans', {
+			date: record.date,
+			day: record.day,
+			absentTeachers: [...(record.absentTeachers || [])],
+			absenceWindows: JSON.parse(JSON.stringify(record.absenceWindows || {})),
+			plan: JSON.parse(JSON.stringify(record.plan || {})),
+			sources: JSON.parse(JSON.stringify(record.sources || {})),
+			swaps: JSON.parse(JSON.stringify(record.swaps || {})),
+			updatedAt: Date.now()
+		});
+	}
+
+	/**
+	 * Delete the plan for one calendar date
+	 * @param {string} date - 'YYYY-MM-DD'
+	 * @returns {Promise<void>}
+	 */
+	function deleteSubstitutionPlan(date) {
+		if (!isSupported() || !date) return Promise.resolve();
+		return remove('substitutionPlans', date);
+	}
+
+	// ============================================
+	// DATE OVERRIDES
+	// ============================================
+
+	/**
+	 * Load every saved one-off timetable change
+	 * @returns {Promise<Array<Object>>} Records shaped { id, date, expires, className, periods, subject, teacher, note, createdAt }
+	 */
+	function getDateOverrides() {
+		if (!isSupported()) return Promise.resolve([]);
+		return getAll('dateOverrides');
+	}
+
+	/**
+	 * Save one one-off timetable change
+	 * @param {Object} override - { id, date: 'YYYY-MM-DD', expires, className, periods, subject, teacher, note }
+	 * @returns {Promise<void>}
+	 */
+	function saveDateOverride(override) {
+		if (!isSupported() || !override?.id) return Promise.resolve();
+
+		return put('dateOverrides', {
+			id: override.id,
+			date: override.date,
+			expires: override.expires || override.date,
+			className: override.className,
+			periods: [...(override.periods || [])],
+			subject: override.subject || '',
+			teacher: override.teacher || '',
+			note: override.note || '',
+			createdAt: override.createdAt || Date.now()
+		});
+	}
+
+	/**
+	 * Delete one one-off timetable change
+	 * @param {string} id - Override id
+	 * @returns {Promise<void>}
+	 */
+	function deleteDateOverride(id) {
+		if (!isSupported() || !id) return Promise.resolve();
+		return remove('dateOverrides', id);
+	}
+
+	// ============================================
+	// LEAVES
+	// ============================================
+
+	/**
+	 * Load every saved leave
+	 * @returns {Promise<Array<Object>>} Records shaped { id, teacher, from, to, reason, createdAt }
+	 */
+	function getLeaves() {
+		if (!isSupported()) return Promise.resolve([]);
+		return getAll('leaves');
+	}
+
+	/**
+	 * Save one leave
+	 * @param {Object} leave - { id, teacher, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', reason }
+	 * @returns {Promise<void>}
+	 */
+	function saveLeave(leave) {
+		if (!isSupported() || !leave?.id) return Promise.resolve();
+
+		return put('leaves', {
+			id: leave.id,
+			teacher: leave.teacher,
+			from: leave.from,
+			to: leave.to || leave.from,
+			reason: leave.reason || '',
+			createdAt: leave.createdAt || Date.now()
+		});
+	}
+
+	/**
+	 * Delete one leave
+	 * @param {string} id - Leave id
+	 * @returns {Promise<void>}
+	 */
+	function deleteLeave(id) {
+		if (!isSupported() || !id) return Promise.resolve();
+		return remove('leaves', id);
+	}
+
+	// Public API
+	window.TimetableStore = {
+		isSupported,
+		open: openDatabase,
+		get,
+		getAll,
+		put,
+		remove,
+		getSubstitutionPlans,
+		saveSubstitutionPlan,
+		deleteSubstitutionPlan,
+		getDateOverrides,
+		saveDateOverride,
+		deleteDateOverride,
+		getLeaves,
+		saveLeave,
+		deleteLeave,
+		DB_NAME,
+		DB_VERSION
+	};
+
+})();
@@ -1,8 +1,8 @@
 // Service Worker for Veer Patta Public School Timetable
 // Provides offline-first caching for the page shell and timetable data
 
-const CACHE_NAME = 'vpps-timetable-v28';
-const STATIC_CACHE_NAME = 'vpps-static-v28';
+const CACHE_NAME = 'vpps-timetable-v54';
+const STATIC_CACHE_NAME = 'vpps-static-v54';
 
 // Core resources required for offline shell
 const CORE_ASSETS = [
@@ -11,6 +11,8 @@ const CORE_ASSETS = [
   './manifest.webmanifest',
   './icons/icon-512.png',
   './scripts/perf.js',
+  './scripts/storage.js',
+  './scripts/engine.js',
   './scripts/a11y.js',
   './scripts/colors.js',
   './scripts/ui.js',
@@ -18,7 +20,13 @@ const CORE_ASSETS = [
   './styles/a11y.css',
   './styles/colors.css',
   './styles/ui.css',
-  './styles/app.css'
+  './styles/app.css',
+  // Data files, so the first offline start has a timetable; the fetch handler still refreshes them network-first
+  './data/timetable.csv',
+  './data/timetable-timings.json',
+  './data/timetable-rules.json',
+  './data/timetable-calendar.json',
+  './data/timetable-staff.json'
 ];
 
 // Optional external resources: cache when available but don't fail install
@@ -95,7 +103,7 @@ self.addEventListener('fetch', event => {
     return; // Only handle GET requests
   }
 
-  // For timetable data requests (if any API calls are made)
+  // Timetable data, timing profile, calendar, override rule and staff roster files (data/timetable*.csv/.json) and any API calls: fresh data first, cached copy offline
   if (url.pathname.includes('timetable') || url.pathname.includes('api')) {
     event.respondWith(
       networkFirstWithCache(request, CACHE_NAME)
@@ -164,8 +172,8 @@ async function networkFirstWithCache(request, cacheName) {
   } catch (error) {
     console.log('Service Worker: Network failed, trying cache for:', request.url);
     
-    // Fallback to cache
-    const cachedResponse = await caches.match(request);
+    // Fallback to cache: the last fetched copy first, then the one precached at install
+    const cachedResponse = await (await caches.open(cacheName)).match(request) || await caches.match(request);
     if (cachedResponse) {
       console.log('Service Worker: Serving stale data from cache:', request.url);
       return cachedResponse;
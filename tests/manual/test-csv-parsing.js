@@ -0,0 +1,192 @@
+/**
+ * CSV Parsing Round-Trip Test
+ * Verifies the RFC 4180 tokenizer, parser diagnostics, and that Day view CSV exports parse back to the same timetable
+ *
+ * Run from the repository root: node tests/manual/test-csv-parsing.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.resolve(__dirname, '..', '..');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+const engine = require(path.join(root, 'scripts', 'engine.js'));
+
+engine.setLogger({ log() {}, info() {}, warn() {}, error: console.error });
+
+// The export helpers still live in index.html; load them as-is so the test cannot drift
+function extractBetween(startMarker, endMarker) {
+	const start = html.indexOf(startMarker);
+	const end = html.indexOf(endMarker, start);
+	if (start === -1 || end === -1) {
+		throw new Error(`Could not find "${startMarker}" in index.html`);
+	}
+	return html.slice(start, end);
+}
+
+const context = {
+	formatCsvRows: engine.formatCsvRows,
+	formatTimetableCell: engine.formatTimetableCell,
+	state: { cache: new Map(), allData: null, uiSelection: {} }
+};
+vm.createContext(context);
+vm.runInContext([
+	extractBetween('// Day view rows in the timetable data-file layout', '// New function: Export CSV'),
+	'this.api = { formatTimetableDayCsv };'
+].join('\n'), context);
+
+const { tokenizeCsv, formatCsvRows, readTimetableMetadata, parseTimetableData } = engine;
+const { formatTimetableDayCsv } = context.api;
+
+const tokenizerCases = [
+	{ name: 'plain fields', input: 'a,b,c', expected: [['a', 'b', 'c']] },
+	{ name: 'quoted comma', input: 'Class 6,"Self Study (Maya, Anita)",Free', expected: [['Class 6', 'Self Study (Maya, Anita)', 'Free']] },
+	{ name: 'escaped quotes', input: '"Say ""hi""",x', expected: [['Say "hi"', 'x']] },
+	{ name: 'embedded line break', input: '"line 1\nline 2",x\r\ny,z', expected: [['line 1\nline 2', 'x'], ['y', 'z']] },
+	{ name: 'empty fields', input: ',,a,', expected: [['', '', 'a', '']] },
+	{ name: 'blank and comment lines', input: '# version: 1\n\na\n  # note\nb', expected: [['a'], ['b']] },
+	{ name: 'quoted hash is data', input: '"# not a comment",x', expected: [['# not a comment', 'x']] },
+	{ name: 'CRLF endings', input: 'a,b\r\nc,d\r\n', expected: [['a', 'b'], ['c', 'd']] }
+];
+
+console.log('='.repeat(60));
+console.log('CSV Parsing Round-Trip Test');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+// Stable JSON so object key order does not matter
+function canonical(value) {
+	return JSON.stringify(value, (key, nested) => {
+		if (!nested || typeof nested !== 'object' || Array.isArray(nested)) return nested;
+		return Object.keys(nested).sort().reduce((sorted, name) => {
+			sorted[name] = nested[name];
+			return sorted;
+		}, {});
+	});
+}
+
+function check(name, actual, expected) {
+	const ok = canonical(actual) === canonical(expected);
+	if (ok) {
+		passed++;
+	} else {
+		failed++;
+		console.log(`\n✗ FAIL ${name}`);
+		console.log(`  Expected: ${JSON.stringify(expected)}`);
+		console.log(`  Got:      ${JSON.stringify(actual)}`);
+	}
+}
+
+tokenizerCases.forEach(({ name, input, expected }) => {
+	check(`tokenize: ${name}`, tokenizeCsv(input), expected);
+	check(`round-trip: ${name}`, tokenizeCsv(formatCsvRows(expected)), expected);
+});
+
+// Full data file: every Day view export must parse back to the same schedule
+const text = fs.readFileSync(path.join(root, 'data', 'timetable.csv'), 'utf8');
+const metadata = readTimetableMetadata(text);
+const parsed = parseTimetableData({ text, version: metadata.version, updated: metadata.updated });
+context.state.allData = parsed;
+
+check('data file has a version stamp', Boolean(parsed.dataVersion), true);
+
+parsed.days.forEach(day => {
+	const exported = formatTimetableDayCsv(day);
+	const reparsed = parseTimetableData({ text: exported, ...readTimetableMetadata(exported) });
+	check(`${day} export re-parses`, reparsed.timetable[day], parsed.timetable[day]);
+	check(`${day} export keeps headers`, reparsed.periodHeaders, parsed.periodHeaders);
+	check(`${day} export keeps version`, reparsed.dataVersion, parsed.dataVersion);
+});
+
+// A quoted multi-teacher cell must keep column alignment
+const quoted = parseTimetableData({
+	text: 'Monday\nClass,Period 1<br>8:30 AM - 9:10 AM,Period 2<br>9:10 AM - 9:50 AM\nClass 6,"Self Study (Maya, Anita)",Maths (Nidhika)'
+});
+check('quoted cell keeps alignment', quoted.timetable.Monday['Class 6'].map(entry => entry.subject), ['Self Study', 'Maths']);
+check('quoted cell teachers', quoted.timetable.Monday['Class 6'][0].teacher, 'Maya, Anita');
+check('quoted cell teacher split', quoted.teacherNames, ['Anita', 'Maya', 'Nidhika']);
+
+// Malformed rows must surface as diagnostics pointing at the exact line and cell
+const broken = parseTimetableData({
+	text: [
+		'Monday',
+		'Class,Period 1<br>8:30 AM - 9:10 AM,Period 2<br>9:10 AM - 9:50 AM',
+		'Class 1,Maths (Bindu',
+		'Class 2,Hindi (Kusum),,EVS (Ravina)',
+		'Notes row'
+	].join('\n')
+});
+const findDiagnostic = (line, column) => broken.diagnostics.find(item => item.line === line && item.column === column) || null;
+check('clean data has no diagnostics', parsed.diagnostics, []);
+check('unreadable cell located', findDiagnostic(3, 2)?.severity, 'warning');
+check('short row located', findDiagnostic(3, 3)?.severity, 'error');
+check('empty cell located', findDiagnostic(4, 3)?.severity, 'warning');
+check('extra cell located', findDiagnostic(4, 4)?.severity, 'error');
+check('stray row located', findDiagnostic(5, 1)?.day, 'Monday');
+check('unterminated quote reported', parseTimetableData({ text: 'Monday\nClass 1,"Maths (Bindu)' }).diagnostics.some(item => item.severity === 'error' && item.line === 2), true);
+
+// Split periods and sections: parallel groups keep their own subject and teacher, and sections group under their class
+const split = parseTimetableData({
+	text: [
+		'Monday',
+		'Class,Period 1<br>8:30 AM - 9:10 AM,Period 2<br>9:10 AM - 9:50 AM',
+		'Class 11 Science,Maths (Mahesh) | [Bio group] Biology (Hemlata Mam),Physics (Mahesh)',
+		'Class 6 A,Hindi (Kusum),Maths (Mahesh) | Maths (Mahesh)',
+		'Class 6-B,Hindi (Kusum),English (Ravina) | ',
+		'Class 6,Games (Rakesh),Games (Rakesh)'
+	].join('\n')
+});
+const splitEntry = split.timetable.Monday['Class 11 Science'][0];
+check('split period parts', splitEntry.parallel, [
+	{ label: 'Maths', subject: 'Maths', teacher: 'Mahesh' },
+	{ label: 'Bio group', subject: 'Biology', teacher: 'Hemlata' }
+]);
+check('split period joined fields', [splitEntry.subject, splitEntry.teacher], ['Maths / Biology', 'Mahesh, Hemlata']);
+check('split period teacher subject and part', split.teacherDetails.Hemlata.schedule.Monday[0], { subject: 'Biology', className: 'Class 11 Science', part: 'Bio group' });
+check('split period cell formats back', engine.formatTimetableCell(splitEntry), 'Maths (Mahesh) | [Bio group] Biology (Hemlata)');
+check('unreadable split part located', split.diagnostics.find(item => item.line === 5 && item.column === 3)?.severity, 'warning');
+check('sections listed by class', split.classSections, { 'Class 6': ['Class 6 A', 'Class 6-B'] });
+check('class without sections', engine.getClassSection('Class 11 Science'), null);
+check('section read', engine.getClassSection('Class 6A'), { baseClass: 'Class 6', section: 'A' });
+const splitWarnings = engine.validateTimetable(split).warnings;
+check('teacher in two parallel groups warned', splitWarnings.includes('Mahesh teaches two parallel groups of Class 6 A on Monday Period 2'), true);
+check('split period teacher overlap warned', splitWarnings.includes('Potential overlap for Mahesh on Monday Period 2: Class 11 Science, Class 6 A'), true);
+check('section teacher overlap warned', splitWarnings.includes('Potential overlap for Kusum on Monday Period 1: Class 6 A, Class 6-B'), true);
+check('whole-class row beside sections warned', splitWarnings.includes('Class 6 has its own row as well as sections Class 6 A, Class 6-B'), true);
+context.state.allData = split;
+check('split period export re-parses', parseTimetableData({ text: formatTimetableDayCsv('Monday') }).timetable.Monday['Class 11 Science'], split.timetable.Monday['Class 11 Science']);
+
+// Rooms: a cell may end with '@Room'; a split period's parts name their own, and a group books its room once
+const roomed = parseTimetableData({
+	text: [
+		'Monday',
+		'Class,Period 1<br>8:30 AM - 9:10 AM,Period 2<br>9:10 AM - 9:50 AM',
+		'Class 11 Science,Chemistry (Toshit) @ChemLab,Maths (Mahesh) @Room12 | Biology (Hemlata) @BioLab',
+		'Class 12 Science,Chemistry (Jainendra) @ChemLab,Physics (Toshit) @Phy Lab',
+		'Class 1,Group: ELGA (Bindu Anita) @Hall,Hindi (Kusum)',
+		'Class 2,Group: ELGA (Bindu Anita) @Hall,EVS (Ravina)'
+	].join('\n')
+});
+const roomedCell = roomed.timetable.Monday['Class 11 Science'];
+check('room read from cell', [roomedCell[0].subject, roomedCell[0].teacher, roomedCell[0].room], ['Chemistry', 'Toshit', 'ChemLab']);
+check('split period part rooms', roomedCell[1].parallel.map(part => part.room), ['Room12', 'BioLab']);
+check('teacher slot carries room', roomed.teacherDetails.Hemlata.schedule.Monday[1], { subject: 'Biology', className: 'Class 11 Science', part: 'Biology', room: 'BioLab' });
+check('rooms listed', roomed.roomNames, ['BioLab', 'ChemLab', 'Hall', 'Room12']);
+check('room cells format back', roomedCell.map(engine.formatTimetableCell), ['Chemistry (Toshit) @ChemLab', 'Maths (Mahesh) @Room12 | Biology (Hemlata) @BioLab']);
+check('room with a space located', roomed.diagnostics.find(item => item.line === 4 && item.column === 3)?.message.startsWith('Could not read the room'), true);
+check('group books its room once', engine.getRoomSchedule(roomed, 'Hall').Monday[0], [{ className: 'Class 1 / Class 2', subject: 'ELGA', teacher: 'Bindu, Anita' }]);
+check('room clash warned', engine.validateTimetable(roomed).warnings.filter(warning => warning.startsWith('Room clash')), [
+	'Room clash in ChemLab on Monday Period 1: Class 11 Science (Chemistry), Class 12 Science (Chemistry)'
+]);
+context.state.allData = roomed;
+check('room export re-parses', parseTimetableData({ text: formatTimetableDayCsv('Monday') }).timetable.Monday, roomed.timetable.Monday);
+
+console.log(`\n${'='.repeat(60)}`);
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(failed === 0 ? '✓ CSV parsing round-trips cleanly!' : `✗ ${failed} check(s) failed`);
+console.log('='.repeat(60));
+
+process.exitCode = failed === 0 ? 0 : 1;
@@ -0,0 +1,437 @@
+/**
+ * Substitution Engine Test
+ * Verifies that scripts/engine.js runs in Node without a DOM and that substitute suggestions and
+ * generated plans respect the timetable. Each group of checks starts with a comment naming the feature;
+ * tests/README.md lists what each one expects.
+ *
+ * Run from the repository root: node tests/manual/test-substitution-engine.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..', '..');
+const engine = require(path.join(root, 'scripts', 'engine.js'));
+
+engine.setLogger({ log() {}, info() {}, warn() {}, error: console.error });
+
+console.log('='.repeat(60));
+console.log('Substitution Engine Test');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+	const ok = JSON.stringify(actual) === JSON.stringify(expected);
+	if (ok) {
+		passed++;
+	} else {
+		failed++;
+		console.log(`\n✗ FAIL ${name}`);
+		console.log(`  Expected: ${JSON.stringify(expected)}`);
+		console.log(`  Got:      ${JSON.stringify(actual)}`);
+	}
+}
+
+const text = fs.readFileSync(path.join(root, 'data', 'timetable.csv'), 'utf8');
+const data = engine.parseTimetableData({ text, ...engine.readTimetableMetadata(text) });
+
+// Timing profiles: the profile in effect on a date supplies the bell times
+const timingProfiles = engine.normalizeTimingProfiles(JSON.parse(fs.readFileSync(path.join(root, 'data', 'timetable-timings.json'), 'utf8')));
+const profileOn = dateKey => engine.resolveTimingProfile(timingProfiles, dateKey)?.id || null;
+check('timing profiles load', timingProfiles.map(profile => profile.id), ['winter', 'summer', 'half-day']);
+check('winter covers December', profileOn('2026-12-01'), 'winter');
+check('winter wraps past New Year', profileOn('2027-01-15'), 'winter');
+check('summer starts on its first day', profileOn('2027-04-01'), 'summer');
+check('one-off range wins when listed first', engine.resolveTimingProfile(engine.normalizeTimingProfiles([
+	{ id: 'exams', from: '2027-03-01', to: '2027-03-10', slots: [{ name: 'Period 1', start: '9:00 AM', end: '10:00 AM' }] },
+	...timingProfiles
+]), '2027-03-05').id, 'exams');
+check('unreadable profile is skipped', engine.normalizeTimingProfiles([{ id: 'bad', from: '04-01', to: '09-30', slots: [{ name: 'P1', start: '9 AM', end: '10:00 AM' }] }]), []);
+check('slot times parse to minutes', timingProfiles[0].slots[8].end, 14 * 60 + 10);
+check('undated profile never matches by date', timingProfiles.filter(profile => !profile.from).map(profile => profile.id), ['half-day']);
+
+// Academic calendar: holidays and weekly offs are skipped, half days name their timing profile
+const calendar = engine.normalizeAcademicCalendar(JSON.parse(fs.readFileSync(path.join(root, 'data', 'timetable-calendar.json'), 'utf8')), { timingProfiles });
+const calendarDay = dateKey => engine.getCalendarDay(calendar, dateKey, data.days);
+check('ordinary weekday is a school day', calendarDay('2026-10-19').isSchoolDay, true);
+check('holiday names its reason', calendarDay('2026-11-09').reason, 'Diwali break');
+check('yearly holiday repeats', calendarDay('2027-01-26').isSchoolDay, false);
+check('Sunday is off', calendarDay('2026-10-25').reason, 'Sunday');
+check('dates after the session are off', calendarDay('2027-04-05').isSchoolDay, false);
+check('next school day skips a holiday run', engine.findSchoolDay(calendar, '2026-11-07', data.days).dateKey, '2026-11-12');
+check('half day uses its profile', engine.resolveTimingProfile(timingProfiles, '2026-11-14', calendarDay('2026-11-14').timingProfileId).id, 'half-day');
+check('exam day is a school day', [calendarDay('2026-12-15').isSchoolDay, calendarDay('2026-12-15').events.map(event => event.type)], [true, ['exam']]);
+check('without a calendar only Sunday is off', [engine.getCalendarDay(null, '2026-11-09', data.days).isSchoolDay, engine.getCalendarDay(null, '2026-11-08', data.days).isSchoolDay], [true, false]);
+
+check('summer times applied', engine.applyTimingProfile(data, timingProfiles[1]) && data.periodHeaders[1].time, '8:00 AM - 8:40 AM');
+check('file times are kept', data.filePeriodHeaders[1].time, '8:30 AM - 9:10 AM');
+check('mismatched slot count is refused', engine.applyTimingProfile(data, { ...timingProfiles[0], slots: timingProfiles[0].slots.slice(1) }), false);
+engine.applyTimingProfile(data, timingProfiles[0]);
+check('winter timings applied', data.periodHeaders[1].time, '8:30 AM - 9:10 AM');
+
+// Override rules: matching cells are rewritten and remember which rule changed them
+const rules = engine.normalizeOverrideRules(JSON.parse(fs.readFileSync(path.join(root, 'data', 'timetable-rules.json'), 'utf8')));
+const dayPlan = { 'Class 10': { 7: 'Nobody' } };
+const overrides = engine.applyOverrideRules(data, rules, { dateKey: '2026-10-19', getDayPlan: day => (day === 'Friday' ? dayPlan : {}) });
+const class10Friday = data.timetable.Friday['Class 10'][7];
+check('rule rewrites the matched period', class10Friday.subject, 'Self Study');
+check('rule records what it replaced', class10Friday.override, {
+	ruleId: 'class-10-friday-p7-self-study',
+	ruleName: 'Class 10 Friday P7 Self Study',
+	original: { subject: 'Science', teacher: 'Toshit' }
+});
+check('neighbouring period is untouched', data.timetable.Friday['Class 10'][6].override, undefined);
+check('outgoing teacher is freed', data.teacherDetails.Toshit.schedule.Friday[7], null);
+check('incoming teacher is booked', data.teacherDetails[class10Friday.teacher]?.schedule.Friday[7], { subject: 'Self Study', className: 'Class 10' });
+check('substitute for a rewritten period is dropped', dayPlan['Class 10'][7], undefined);
+check('subject rules only touch matching cells', overrides.filter(item => item.original.subject !== 'Sports').map(item => item.ruleId), ['class-10-friday-p7-self-study']);
+check('every change is listed', data.overrides.length, overrides.length);
+check('a cell is changed by one rule at most', engine.applyOverrideRules(data, rules, { dateKey: '2026-10-19' }), []);
+check('dated rule is inactive outside its range', engine.isOverrideRuleActive({ ...rules[0], from: '2027-01-01', to: '2027-01-31' }, '2026-10-19'), false);
+check('rule switched off on a device is inactive', engine.isOverrideRuleActive(rules[0], '2026-10-19', [rules[0].id]), false);
+check('rule without a change is skipped', engine.normalizeOverrideRules([{ id: 'empty', match: { class: 'Class 1' } }]), []);
+check('validation has no errors', engine.validateTimetable(data).errors, []);
+
+// Every teacher who is busy in a period must be excluded from that period's candidates
+const day = 'Monday';
+const absentTeachers = ['Bindu', 'Ravina'];
+data.periodHeaders.forEach((header, periodIndex) => {
+	const candidates = engine.findFreeTeachers(data, day, periodIndex, absentTeachers, {}).map(item => item.teacher);
+	const busy = candidates.filter(teacher => data.teacherDetails[teacher]?.schedule?.[day]?.[periodIndex]);
+	check(`${header.name}: no busy candidates`, busy, []);
+	check(`${header.name}: no absent candidates`, candidates.filter(teacher => absentTeachers.includes(teacher)), []);
+	check(`${header.name}: availability windows respected`, candidates.filter(teacher => !engine.isTeacherAvailableForPeriod(data, teacher, periodIndex, day)), []);
+});
+
+// Generated plans cover every slot once and never double-book a substitute
+const result = engine.generateSubstitutionPlan(data, day, absentTeachers);
+check('every vacant slot is assigned or reported unfilled', result.assignments.length + result.unfilled.length, result.vacantSlots.length);
+
+const doubleBooked = [];
+data.periodHeaders.forEach((header, periodIndex) => {
+	const substitutes = Object.values(result.plan).map(classPlan => classPlan[periodIndex]).filter(Boolean);
+	if (new Set(substitutes).size !== substitutes.length) doubleBooked.push(header.name);
+});
+check('no substitute covers two classes at once', doubleBooked, []);
+
+const bestFirst = result.assignments.every(item => {
+	const top = engine.findFreeTeachers(data, day, item.periodIndex, absentTeachers, {}, item)[0];
+	return top && item.score <= top.score;
+});
+check('assignments never beat the unconstrained best score', bestFirst, true);
+
+check('existing picks for vacant slots are re-planned',
+	engine.generateSubstitutionPlan(data, day, absentTeachers, { 'Class 1': { 1: 'Nobody' } }).plan['Class 1'][1] !== 'Nobody', true);
+
+// Solver: matching per period beats taking each slot's top teacher in turn, and the first pick stays for comparison
+check('matching gives the contested teacher to the slot that needs them', engine.solveMinCostAssignment([[1, 2], [1, 100]]), [1, 0]);
+check('first-pick plan is kept alongside', Array.isArray(result.greedy?.assignments), true);
+check('solver covers at least as many slots as first pick', result.comparison.extraCovered >= 0, true);
+check('solver scores at least as well as first pick', result.comparison.scoreGain >= 0 && result.totalScore >= result.greedy.totalScore, true);
+const greedyDoubleBooked = data.periodHeaders.filter((header, periodIndex) => {
+	const substitutes = Object.values(result.greedy.plan).map(classPlan => classPlan[periodIndex]).filter(Boolean);
+	return new Set(substitutes).size !== substitutes.length;
+});
+check('first-pick plan never double-books either', greedyDoubleBooked.map(header => header.name), []);
+const sharedText = text.replace('Class 9,Assembly,Hindi (Jainendra)', 'Class 9,Assembly,Hindi (Jainendra/Anjana)');
+const sharedGreedy = engine.generateSubstitutionPlan(engine.parseTimetableData({ text: sharedText }), 'Monday', ['Jainendra', 'Anjana']).greedy;
+const isSharedCell = item => item.className === 'Class 9' && item.periodIndex === 1;
+check('first pick assigns a cell two absent teachers share once',
+	[sharedGreedy.assignments.filter(isSharedCell).map(item => item.substitute), sharedGreedy.unfilled.filter(isSharedCell).length],
+	[['Rakesh', 'Rakesh'], 0]);
+// On a real Wednesday with three teachers away, the first pick leaves Class 10's Period 8 open and the solver fills it
+const contested = engine.generateSubstitutionPlan(data, 'Wednesday', ['Anita', 'Antima', 'Nathulal']);
+const isContestedSlot = item => item.className === 'Class 10' && item.periodIndex === 8;
+check('solver fills a slot the first pick leaves open',
+	[contested.greedy.unfilled.some(isContestedSlot), contested.assignments.some(isContestedSlot), contested.comparison.extraCovered],
+	[true, true, 1]);
+
+// Partial-day absences: only periods inside the window are vacant, and the teacher can cover outside it
+const fullDaySlots = engine.getSubstitutionVacantSlots(data, day, ['Bindu']).map(slot => slot.periodIndex);
+check('leaving after P4 opens only the later periods',
+	engine.getSubstitutionVacantSlots(data, day, [{ teacher: 'Bindu', fromPeriod: 5 }]).map(slot => slot.periodIndex),
+	fullDaySlots.filter(periodIndex => periodIndex >= 5));
+check('a time window covers every period it overlaps', engine.getAbsencePeriodIndexes(data, { teacher: 'Bindu', to: '9:50 AM' }), [0, 1, 2]);
+check('leaving at a bell does not miss the period before', engine.getAbsencePeriodIndexes(data, { teacher: 'Bindu', from: '11:30 AM' }), [5, 6, 7, 8]);
+check('whole-day absence still excludes the teacher', engine.findFreeTeachers(data, day, 8, ['Bindu'], {}).some(item => item.teacher === 'Bindu'), false);
+check('late arrival is a candidate after the window', engine.findFreeTeachers(data, day, 8, [{ teacher: 'Bindu', to: '9:50 AM' }], {}).some(item => item.teacher === 'Bindu'), true);
+check('window labels', [
+	engine.formatAbsenceWindow(data, { teacher: 'Bindu', fromPeriod: 5 }),
+	engine.formatAbsenceWindow(data, { teacher: 'Bindu', to: '9:50 AM' }),
+	engine.formatAbsenceWindow(data, 'Bindu')
+], ['From Period 5', 'Until 9:50 AM', '']);
+const partialPlan = engine.generateSubstitutionPlan(data, day, [{ teacher: 'Bindu', to: '9:50 AM' }, 'Ravina']);
+check('partly absent teacher only covers outside their window',
+	partialPlan.assignments.filter(item => item.substitute === 'Bindu' && item.periodIndex <= 2).length, 0);
+
+// Date overrides: layered over one date (or the same weekday up to expires) without touching the weekly timetable
+data.dateOverrides = engine.normalizeDateOverrides([
+	{ id: 'examiner', date: '2026-10-23', className: 'Class 12 Science', periods: [3, 4], subject: 'Practical exam', teacher: '', note: 'Visiting examiner', createdAt: 1 },
+	{ id: 'rehearsal', date: '2026-10-24', expires: '2026-11-07', className: 'Class 10', periods: [8], subject: 'Annual day rehearsal', teacher: 'Kusum', createdAt: 2 },
+	{ id: 'bad', date: '2026-10-23', className: 'Class 1', periods: [], subject: 'Nothing' }
+]);
+const examinerDay = '2026-10-23';
+check('override without periods is skipped', data.dateOverrides.map(item => item.id), ['examiner', 'rehearsal']);
+check('override replaces the cell on its date', engine.getClassPeriodsForDate(data, 'Friday', 'Class 12 Science', examinerDay)[3].dateOverride, {
+	id: 'examiner',
+	note: 'Visiting examiner',
+	original: { subject: 'Physics', teacher: 'Mahesh' }
+});
+check('weekly timetable is unchanged', data.timetable.Friday['Class 12 Science'][3].subject, 'Physics');
+check('override is ignored on other dates', engine.getClassPeriodsForDate(data, 'Friday', 'Class 12 Science', '2026-10-30')[3].subject, 'Physics');
+check('replaced teacher is free on that date', engine.getTeacherScheduleForDate(data, 'Mahesh', 'Friday', examinerDay)[3], null);
+check('replaced teacher is a free-teacher candidate', engine.findFreeTeachers(data, 'Friday', 3, [], {}, null, examinerDay).some(item => item.teacher === 'Mahesh'), true);
+check('replaced periods need no substitute',
+	engine.getSubstitutionVacantSlots(data, 'Friday', ['Mahesh'], examinerDay).map(slot => slot.periodIndex),
+	engine.getSubstitutionVacantSlots(data, 'Friday', ['Mahesh']).map(slot => slot.periodIndex).filter(periodIndex => periodIndex !== 3));
+check('plan for the date skips replaced periods',
+	engine.generateSubstitutionPlan(data, 'Friday', ['Mahesh'], {}, examinerDay).vacantSlots.some(slot => slot.periodIndex === 3), false);
+check('booked teacher is busy on each repeat', ['2026-10-31', '2026-11-07'].map(dateKey => engine.getTeacherScheduleForDate(data, 'Kusum', 'Saturday', dateKey)[8]?.className), ['Class 10', 'Class 10']);
+check('booked teacher covers the period when absent', engine.getSubstitutionVacantSlots(data, 'Saturday', ['Kusum'], '2026-10-24').some(slot => slot.dateOverride?.id === 'rehearsal'), true);
+check('repeating override stops after expires', engine.getDateOverridesForDate(data, 'Saturday', '2026-11-14'), []);
+// Leave: one record covers every school day in its range, each with that weekday's schedule
+const leaves = engine.normalizeLeaves([
+	{ id: 'medical', teacher: 'Bindu', from: '2026-11-05', to: '2026-11-14', reason: 'Medical' },
+	{ id: 'backwards', teacher: 'Ravina', from: '2026-11-10', to: '2026-11-09' }
+]);
+check('leave ending before it starts is skipped', leaves.map(leave => leave.id), ['medical']);
+check('leave skips holidays and Sundays', engine.getLeaveSchoolDays(calendar, leaves[0], data.days), ['2026-11-05', '2026-11-06', '2026-11-12', '2026-11-13', '2026-11-14']);
+check('teacher on leave inside the range', engine.getTeachersOnLeave(leaves, '2026-11-13', calendarDay('2026-11-13')), ['Bindu']);
+check('nobody is on leave on a holiday', engine.getTeachersOnLeave(leaves, '2026-11-09', calendarDay('2026-11-09')), []);
+check('leave ends after its last day', engine.getTeachersOnLeave(leaves, '2026-11-16', calendarDay('2026-11-16')), []);
+check('each leave day uses its own weekday',
+	['Thursday', 'Friday'].map(weekday => engine.getSubstitutionVacantSlots(data, weekday, engine.getTeachersOnLeave(leaves, '2026-11-13')).length),
+	['Thursday', 'Friday'].map(weekday => engine.getSubstitutionVacantSlots(data, weekday, ['Bindu']).length));
+check('override is expired only after its last date', [engine.isDateOverrideExpired(data.dateOverrides[1], '2026-11-07'), engine.isDateOverrideExpired(data.dateOverrides[1], '2026-11-08')], [false, true]);
+// Scoring settings: the defaults score as before; weights, reliability and families are read from data.scoringConfig
+const withScoring = scoringConfig => ({ ...data, scoringConfig: engine.normalizeScoringConfig(scoringConfig) });
+check('default settings keep the built-in ranking',
+	engine.findFreeTeachers(withScoring(null), day, 4, absentTeachers, {}, { subject: 'Maths', className: 'Class 7' }),
+	engine.findFreeTeachers(data, day, 4, absentTeachers, {}, { subject: 'Maths', className: 'Class 7' }));
+check('unreadable settings fall back or are skipped', engine.normalizeScoringConfig({
+	weights: { subjectMatch: -5, workload: 'many' },
+	caps: { perDay: -1, perWeek: 'lots' },
+	fairnessDays: 0,
+	reliability: { Maya: 'low', Rakesh: 3 },
+	subjectFamilies: [{ name: 'Arts', patterns: ['Art', 'drawing'], score: 90 }, { name: '', patterns: ['x'], score: 5 }],
+	releasableSubjects: [' Self Study ', 'self study', '', 'Library']
+}), {
+	weights: { subjectMatch: 0, gradeMatch: 25, workload: 20, availability: 15, fairness: 10 },
+	caps: { perDay: 0, perWeek: 10, consecutive: 5 },
+	fairnessDays: 1,
+	reliability: { Rakesh: 3 },
+	subjectFamilies: [{ name: 'Arts', patterns: ['art', 'drawing'], score: 40 }],
+	releasableSubjects: ['Self Study', 'Library']
+});
+check('a zero weight drops its factor',
+	engine.findFreeTeachers(withScoring({ weights: { workload: 0 } }), day, 4, absentTeachers, {}).every(item => item.breakdown.workloadBonus === 0), true);
+check('a doubled weight doubles its points',
+	engine.calculateTeacherScore(withScoring({ weights: { gradeMatch: 50 } }), 'Kusum', day, '', 'Class 1', 1, {}).breakdown.gradeMatch,
+	engine.calculateTeacherScore(data, 'Kusum', day, '', 'Class 1', 1, {}).breakdown.gradeMatch * 2);
+const averageTeacher = { periodCount: 15, subjects: new Set(['Maths']) };
+check('reliability comes from the settings',
+	['Maya', 'Rakesh'].map(teacher => [
+		engine.calculateAvailabilityBonus(teacher, averageTeacher),
+		engine.calculateAvailabilityBonus(teacher, averageTeacher, withScoring({ reliability: { Rakesh: 4 } }).scoringConfig.reliability)
+	]),
+	[[9, 10], [8, 14]]);
+check('subject families give partial credit',
+	[engine.findBestSubjectMatch('Drawing', ['Art']).score, engine.findBestSubjectMatch('Drawing', ['Art'], withScoring({ subjectFamilies: [{ name: 'Arts', patterns: ['art', 'drawing'], score: 30 }] }).scoringConfig.subjectFamilies).score],
+	[0, 30]);
+// Availability: weekly windows per weekday, and dated exceptions that win over them on their dates
+const availabilityRules = engine.normalizeAvailabilityRules([
+	{ id: 'part-time', teacher: 'Kusum', days: ['Monday', 'Tuesday'], periods: [1, 2, 3], reason: 'Part-time' },
+	{ id: 'away', teacher: 'Kusum', days: [], periods: [], from: '2026-11-10', to: '2026-11-10', reason: 'Shared with another school' },
+	{ id: 'no-teacher', days: [], periods: [1] },
+	{ id: 'bad-day', teacher: 'Anita', days: ['Funday'], periods: [1] }
+]);
+const withAvailability = { ...data, availabilityRules };
+check('availability rules without a teacher or with unknown days are skipped', availabilityRules.map(rule => rule.id), ['part-time', 'away']);
+check('built-in windows apply without saved rules', [engine.isTeacherAvailableForPeriod(data, 'Mahesh', 2, 'Monday'), engine.isTeacherAvailableForPeriod(data, 'Mahesh', 5, 'Monday')], [true, false]);
+check('weekly window applies only on its weekdays',
+	['Monday', 'Wednesday'].map(weekday => engine.isTeacherAvailableForPeriod(withAvailability, 'Kusum', 6, weekday)), [false, true]);
+check('dated exception wins on its date only',
+	['2026-11-10', '2026-11-17'].map(dateKey => engine.getTeacherAvailabilityWindowLabel(withAvailability, 'Kusum', 'Tuesday', dateKey)),
+	['Not available', 'Periods 1-3 only']);
+check('saved rules replace the built-in windows', engine.isTeacherAvailableForPeriod(withAvailability, 'Mahesh', 5, 'Monday'), true);
+check('free-teacher finder follows the rules',
+	[engine.findFreeTeachers(data, 'Tuesday', 6, [], {}), engine.findFreeTeachers(withAvailability, 'Tuesday', 6, [], {}, null, '2026-11-17')]
+		.map(candidates => candidates.some(item => item.teacher === 'Kusum')),
+	[true, false]);
+// Load caps and fair sharing: saved plans (data.substitutionHistory) count towards the week and the fairness term
+const substitutionHistory = {
+	'2026-11-09': { plan: { 'Class 1': { 2: 'Rakesh' } } },
+	'2026-11-10': { plan: { 'Class 2': { 3: 'Rakesh', 4: 'Maya' } } },
+	'2026-11-11': { plan: { 'Class 2': { 3: 'Rakesh' } } }
+};
+const withHistory = scoringConfig => ({ ...withScoring(scoringConfig), substitutionHistory });
+check('daily cap leaves the teacher out',
+	[withScoring(null), withScoring({ caps: { perDay: 1 } })].map(capped => engine.findFreeTeachers(capped, 'Wednesday', 5, [], { 'Class 9': { 1: 'Rakesh' } }).some(item => item.teacher === 'Rakesh')),
+	[true, false]);
+check('skipped teachers say which cap',
+	engine.getCapSkippedTeachers(withScoring({ caps: { perDay: 1 } }), 'Wednesday', 5, [], { 'Class 9': { 1: 'Rakesh' } }).map(item => [item.teacher, item.cap, item.reason]),
+	[['Rakesh', 'perDay', '1 cover on Wednesday already (cap 1)']]);
+check('weekly cap counts the other days of the same week',
+	['2026-11-11', '2026-11-18'].map(dateKey => engine.getCapSkippedTeachers(withHistory({ caps: { perWeek: 2 } }), 'Wednesday', 5, [], {}, dateKey).map(item => item.count)),
+	[[2], []]);
+check('a break ends a run of consecutive periods',
+	engine.getCapSkippedTeachers(withScoring({ caps: { consecutive: 2 } }), 'Wednesday', 6, [], {}).map(item => [item.teacher, item.count]),
+	[['Nidhika', 4], ['Rashmita', 4], ['Ravina', 4]]);
+check('teachers who covered most lose the fairness weight',
+	['Rakesh', 'Maya', 'Anita'].map(teacher => engine.calculateFairnessPenalty(withHistory(null), teacher, '2026-11-12')),
+	[-10, -3, 0]);
+check('covers older than the fairness window are forgotten', engine.calculateFairnessPenalty(withHistory({ fairnessDays: 7 }), 'Rakesh', '2026-11-30'), 0);
+// A period swap trades Rakesh's lesson for another period, so neither entry is an extra cover
+const swapRecord = { plan: { 'Class 2': { 3: 'Rakesh', 5: 'Maya' } }, sources: { 'Class 2': { 3: 'swap', 5: 'swap' } } };
+const withSwap = caps => ({ ...withScoring({ caps }), substitutionHistory: { '2026-11-10': swapRecord, '2026-11-11': swapRecord } });
+check('swap entries count towards neither the day nor the week',
+	[engine.calculateSubstitutionWorkload('Rakesh', 'Wednesday', swapRecord.plan, swapRecord.sources),
+		engine.getCapSkippedTeachers(withSwap({ perDay: 1 }), 'Wednesday', 5, [], swapRecord.plan, '2026-11-11').map(item => item.teacher),
+		engine.getCapSkippedTeachers(withSwap({ perWeek: 1 }), 'Wednesday', 5, [], {}, '2026-11-11').map(item => item.teacher)],
+	[0, [], []]);
+// A parse restored from the session cache comes back without the device's history until it is reattached
+const cachedParse = JSON.parse(JSON.stringify({ ...withScoring({ caps: { perWeek: 2 } }), substitutionHistory: {} }));
+const cachedSkips = () => engine.getCapSkippedTeachers(cachedParse, 'Wednesday', 5, [], {}, '2026-11-11').map(item => item.teacher);
+const staleSkips = cachedSkips();
+cachedParse.substitutionHistory = substitutionHistory;
+check('caps apply to a cached parse once the history is reattached', [staleSkips, cachedSkips()], [[], ['Rakesh']]);
+// History ledger: one row per vacant slot in the saved plans, with how it was filled, and a monthly report
+const ledger = engine.buildSubstitutionLedger(data, {
+	'2026-11-02': { date: '2026-11-02', day: 'Monday', absences: [{ teacher: 'Bindu', fromPeriod: 6 }], plan: { 'Class 2': { 6: 'Kusum', 7: 'Anita' } }, sources: { 'Class 2': { 6: 'auto', 7: 'manual' } } },
+	'2026-11-03': { date: '2026-11-03', day: 'Tuesday', absentTeachers: ['Ravina'], plan: {} },
+	'2026-10-30': { date: '2026-10-30', day: 'Friday', absentTeachers: ['Bindu'], plan: {}, sources: { 'Class 1': { 1: 'auto' } } }
+});
+check('ledger rows follow the absence window and record the pick',
+	ledger.filter(row => row.date === '2026-11-02').map(row => [row.periodIndex, row.className, row.absentTeacher, row.substitute, row.source]),
+	[[6, 'Class 2', 'Bindu', 'Kusum', 'auto'], [7, 'Class 2', 'Bindu', 'Anita', 'manual']]);
+check('open slots stay in the ledger without a pick', ledger.filter(row => row.date === '2026-10-30').every(row => row.substitute === '' && row.source === ''), true);
+const novemberReport = engine.summarizeSubstitutionMonth(ledger, '2026-11');
+// Ravina's three ELGA periods are kept by the other group teachers
+check('monthly report counts absences, covers and open slots per teacher',
+	novemberReport.teachers.map(entry => [entry.teacher, entry.daysAbsent, entry.periodsAbsent, entry.covered, entry.uncovered]),
+	[['Anita', 0, 0, 1, 0], ['Bindu', 1, 2, 0, 0], ['Kusum', 0, 0, 1, 0], ['Ravina', 1, 8, 0, 5]]);
+check('monthly totals split auto and manual picks', novemberReport.totals, { days: 2, slots: 10, covered: 5, uncovered: 5, auto: 1, manual: 1, merged: 0, swapped: 0, released: 0, group: 3 });
+check('report CSV lists the summary, then the ledger',
+	engine.buildSubstitutionReportCsvRows(novemberReport).slice(5, 8).map(row => row.slice(-2)),
+	[[], ['Substitute', 'Picked'], ['Kusum', 'Auto']]);
+check('report CSV marks open slots', engine.buildSubstitutionReportCsvRows(novemberReport).at(-1).slice(-2), ['Not covered', '']);
+// Class merges: with nobody free, a teacher in a nearby grade can take the class alongside their own
+const toshitPlan = engine.generateSubstitutionPlan(data, 'Tuesday', ['Toshit']);
+const class7Open = toshitPlan.unfilled.find(slot => slot.className === 'Class 7' && slot.periodIndex === 4);
+check('unfilled slots suggest merges, nearest grade first',
+	class7Open.mergeOptions.slice(0, 2).map(option => [option.teacher, option.hostClass, option.reason]),
+	[['Prakash', 'Class 8', 'Teaching Class 8 (Maths), next grade'], ['Jainendra', 'Class 6', 'Teaching Class 6 (Sanskrit), next grade']]);
+check('merges stay within three grades', class7Open.mergeOptions.every(option => option.proximity >= 5) && !class7Open.mergeOptions.some(option => option.hostClass.includes('Class 12')), true);
+check('a teacher hosts one merged class per period',
+	engine.findMergeOptions(data, 'Tuesday', class7Open, ['Toshit'], { 'Class 9': { 4: 'Prakash' } }).map(option => option.teacher).includes('Prakash'),
+	false);
+check('merge hosts respect the same load caps as free teachers',
+	[withScoring(null), withScoring({ caps: { perDay: 1 } })].map(capped => engine.findMergeOptions(capped, 'Tuesday', class7Open, ['Toshit'], { 'Class 9': { 1: 'Prakash' } }).some(option => option.teacher === 'Prakash')),
+	[true, false]);
+const mergeLedger = engine.buildSubstitutionLedger(data, [
+	{ date: '2026-11-03', day: 'Tuesday', absentTeachers: ['Toshit'], plan: { 'Class 7': { 4: 'Prakash' } }, sources: { 'Class 7': { 4: 'merge' } } }
+]);
+const mergeReport = engine.summarizeSubstitutionMonth(mergeLedger, '2026-11');
+check('merges are ledger covers that name the class joined',
+	[mergeLedger.find(row => row.substitute).mergedWith, mergeReport.totals.merged, mergeReport.teachers.find(entry => entry.teacher === 'Prakash').covered],
+	['Class 8', 1, 1]);
+check('report CSV marks merges', engine.buildSubstitutionReportCsvRows(mergeReport).find(row => row[6] === 'Prakash').at(-1), 'Merged with Class 8');
+// Period swaps: a colleague free at the vacant period trades lessons with the absent teacher, who is back later
+const lateHemlata = [{ teacher: 'Hemlata', toPeriod: 2 }];
+const biologySlot = engine.getSubstitutionVacantSlots(data, 'Monday', lateHemlata).find(slot => slot.className === 'Class 11 Science');
+check('swaps trade the vacant lesson with a later one of the same class',
+	engine.findPeriodSwaps(data, 'Monday', biologySlot, lateHemlata, {}).map(swap => [swap.periodIndex, swap.teacher, swap.reason]),
+	[[6, 'Toshit', 'Toshit takes Chemistry at Period 2; Hemlata teaches Biology at Period 6']]);
+check('no swap while the absent teacher is away all day', engine.findPeriodSwaps(data, 'Monday', biologySlot, ['Hemlata'], {}), []);
+check('both teachers must be free at their new periods',
+	[{ 'Class 1': { 2: 'Toshit' } }, { 'Class 2': { 6: 'Hemlata' } }].map(plan => engine.findPeriodSwaps(data, 'Monday', biologySlot, lateHemlata, plan).length),
+	[0, 0]);
+const swapReport = engine.summarizeSubstitutionMonth(engine.buildSubstitutionLedger(data, [
+	{ date: '2026-11-02', day: 'Monday', absences: lateHemlata, plan: { 'Class 11 Science': { 2: 'Toshit', 6: 'Hemlata' } }, sources: { 'Class 11 Science': { 2: 'swap', 6: 'swap' } } }
+]), '2026-11');
+check('a swap is one covered slot in the ledger', [swapReport.totals.swapped, swapReport.rows.filter(row => row.className === 'Class 11 Science').map(row => [row.periodIndex, row.substitute])], [1, [[2, 'Toshit']]]);
+// Releasable duties: Maya's Self Study period keeps her off the free list, but she is offered once nobody is free
+const rakeshHemlataPlan = engine.generateSubstitutionPlan(data, 'Monday', ['Rakesh', 'Hemlata']);
+const class6Open = rakeshHemlataPlan.unfilled.find(slot => slot.className === 'Class 6' && slot.periodIndex === 1);
+check('a teacher on a releasable duty is not free', engine.findFreeTeachers(data, 'Monday', 1, ['Rakesh', 'Hemlata'], {}).map(item => item.teacher).includes('Maya'), false);
+check('unfilled slots offer teachers on releasable duties',
+	class6Open.releasableOptions.map(option => [option.teacher, option.releasedDuty, option.reason]),
+	[['Maya', 'Self Study, Class 11 Commerce', 'Releasable duty: Self Study, Class 11 Commerce; Teaches Grade 6']]);
+check('only listed subjects are releasable',
+	engine.findReleasableTeachers(withScoring({ releasableSubjects: ['NoteBook Checking'] }), 'Monday', 1, ['Rakesh', 'Hemlata'], {}, class6Open),
+	[]);
+check('a released teacher covers one class per period',
+	engine.findReleasableTeachers(data, 'Monday', 1, ['Rakesh', 'Hemlata'], { 'Class 7': { 1: 'Maya' } }, class6Open),
+	[]);
+const releaseReport = engine.summarizeSubstitutionMonth(engine.buildSubstitutionLedger(data, [
+	{ date: '2026-11-02', day: 'Monday', absentTeachers: ['Hemlata'], plan: { 'Class 6': { 1: 'Maya' } }, sources: { 'Class 6': { 1: 'release' } } }
+]), '2026-11');
+check('a release records the duty it put off',
+	[releaseReport.rows.find(row => row.substitute === 'Maya').releasedDuty, releaseReport.totals.released],
+	['Self Study, Class 11 Commerce', 1]);
+check('report CSV marks releases', engine.buildSubstitutionReportCsvRows(releaseReport).find(row => row[6] === 'Maya').at(-1), 'Released from Self Study, Class 11 Commerce');
+// Staff roster: aliases read as the roster name, and people who never cover are left out
+const staffRoster = engine.normalizeStaffRoster(JSON.parse(fs.readFileSync(path.join(root, 'data', 'timetable-staff.json'), 'utf8')));
+const withRoster = members => engine.parseTimetableData({ text }, { roster: members });
+check('roster lists every timetable teacher', staffRoster.map(member => member.name), data.teacherNames);
+check('aliases resolve to the roster name', engine.resolveStaffName(staffRoster, 'nindika'), 'Nidhika');
+const aliasData = engine.parseTimetableData({ text: text.replace(/\(Nidhika\)/g, '(Nindika)') }, { roster: staffRoster });
+check('an alias in the data file is read as the roster name',
+	[aliasData.teacherNames.includes('Nindika'), aliasData.teacherDetails.Nidhika.periodCount, aliasData.timetable.Monday['Class 12 Commerce'].some(cell => cell.teacher === 'Nidhika')],
+	[false, data.teacherDetails.Nidhika.periodCount, true]);
+check('names missing from the roster are reported',
+	withRoster(staffRoster.filter(member => member.name !== 'Toshit')).diagnostics.filter(item => item.message.includes('not on the staff roster')).map(item => item.severity),
+	['warning']);
+check('the teacher view lists merged aliases', aliasData.teacherAliases, { Nidhika: ['Nindika'] });
+check('an alias inside another name in the cell is not rewritten there',
+	engine.parseTimetableData({ text: text.replace('Maths (Nidhika),Maths (Nidhika)', 'Maths (Nidhika),Maths (Nidhika/Nid)') }, { roster: engine.normalizeStaffRoster([...staffRoster, { name: 'Nidhi', aliases: ['Nid'] }]) }).timetable.Monday['Class 5'].find(cell => cell.teacher?.startsWith('Nidhika,'))?.teacher,
+	'Nidhika, Nidhi');
+check('titles are dropped from teacher names', ['Rakesh Sir', 'Mrs. Bindu', 'Sirohi'].map(engine.normalizeTeacherSpelling), ['Rakesh', 'Bindu', 'Sirohi']);
+check('near-duplicate spellings find the teacher they look like',
+	['Nindika', 'Nidhka', 'bindu', 'Prakash', 'Anita'].map(name => engine.findNearDuplicateName(name, data.teacherNames)),
+	['Nidhika', 'Nidhika', 'Bindu', null, null]);
+const typoText = text.replace('Maths (Nidhika),Maths (Nidhika)', 'Maths (Nidhika),Maths (Nidhka)');
+check('near-duplicates are reported with and without a roster',
+	[staffRoster, []].map(members => engine.parseTimetableData({ text: typoText }, { roster: members }).diagnostics.filter(item => item.message.includes('looks like')).map(item => item.message)),
+	[['Nidhka in Class 5 is not on the staff roster; it looks like Nidhika, add it to their aliases'], ['Nidhka in Class 5 looks like Nidhika; list it as an alias in the staff roster']]);
+// Group periods: the five ELGA cells of a period are one activity, and one absent teacher leaves it to the rest
+const elgaGroup = engine.getGroupPeriod(data, 'Monday', 3, 'Class 2');
+check('marked cells in one period form one group',
+	[data.groupPeriods.length, elgaGroup.subject, elgaGroup.classNames.length, elgaGroup.teachers],
+	[12, 'ELGA', 5, ['Bindu', 'Anita', 'Rashmita', 'Kusum', 'Ravina']]);
+check('a group teacher has one slot for the period', data.teacherDetails.Bindu.schedule.Monday[3], { subject: 'ELGA', className: elgaGroup.label, group: elgaGroup.id });
+check('the teacher slot label finds the group', engine.getGroupPeriod(data, 'Monday', 3, elgaGroup.label)?.id, elgaGroup.id);
+const binduPlan = engine.generateSubstitutionPlan(data, 'Monday', ['Bindu']);
+check('one absent group teacher is a partial vacancy left to the group',
+	[binduPlan.partial.map(slot => [slot.periodIndex, slot.presentTeachers.length]), Object.keys(binduPlan.plan).includes(elgaGroup.label)],
+	[[[3, 4], [4, 4], [5, 4]], false]);
+const wholeGroupPlan = engine.generateSubstitutionPlan(data, 'Monday', elgaGroup.teachers);
+check('a group with every teacher away is one slot to cover', [wholeGroupPlan.partial.length, Boolean(wholeGroupPlan.plan[elgaGroup.label]?.[3])], [0, true]);
+check('unmarked group cells are reported',
+	engine.parseTimetableData({ text: text.replace(/Group: /g, '') }, { roster: staffRoster }).diagnostics.filter(item => item.severity === 'warning').map(item => item.message),
+	['Bindu Anita Rashmita Kusum Ravina in Class 1 is not on the staff roster; for several teachers at once, mark the cell "Group: Subject (Names)"']);
+// Split periods: each group of the class is covered on its own, under its part's plan key
+const splitData = engine.parseTimetableData({ text: text.replace('Science (Toshit),Science (Toshit),SST', 'Science (Toshit),Science (Toshit) | Maths (Nidhika),SST') });
+const splitPlan = engine.generateSubstitutionPlan(splitData, 'Monday', ['Toshit', 'Nidhika']);
+const splitPicks = ['Science', 'Maths'].map(label => splitPlan.plan[engine.getParallelPartKey('Class 9', label)]?.[4]);
+check('both absent teachers of a split period get a substitute each', [splitPicks.every(Boolean), new Set(splitPicks).size], [true, 2]);
+check('a part key reads back as its class and label', engine.parseParallelPartKey('Class 9 [Maths]'), { className: 'Class 9', label: 'Maths' });
+const electivePlan = engine.generateSubstitutionPlan(engine.parseTimetableData({ text: text.replace('Physics (Mahesh),Biology (Hemlata)', 'Physics (Mahesh),Maths (Ravina) | Biology (Hemlata)') }), 'Monday', ['Ravina', 'Hemlata']);
+check('one free teacher takes one group of a split period and the other stays open',
+	[Object.values(electivePlan.plan).filter(classPlan => classPlan[2] === 'Toshit').length, electivePlan.unfilled.filter(slot => slot.periodIndex === 2 && slot.part).length],
+	[1, 1]);
+const noCoverRoster = staffRoster.map(member => (member.name === 'Rakesh' ? { ...member, substitutes: false } : member));
+check('staff who do not substitute are never free', engine.findFreeTeachers(withRoster(noCoverRoster), 'Monday', 1, ['Bindu'], {}).map(item => item.teacher), []);
+const qualifiedRoster = staffRoster.map(member => (member.name === 'Kusum' ? { ...member, qualifiedSubjects: ['Sanskrit'] } : member));
+check('qualified subjects score like taught ones',
+	[data, withRoster(qualifiedRoster)].map(parsed => engine.calculateTeacherScore(parsed, 'Kusum', 'Monday', 'Sanskrit', 'Class 9', 9, {})).map(score => [score.breakdown.subjectMatch, score.reason]),
+	[[0, engine.calculateTeacherScore(data, 'Kusum', 'Monday', 'Sanskrit', 'Class 9', 9, {}).reason], [40, 'Qualified for Sanskrit']]);
+
+console.log(`\n${'='.repeat(60)}`);
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(failed === 0 ? '✓ Substitution engine checks passed!' : `✗ ${failed} check(s) failed`);
+console.log('='.repeat(60));
+
+process.exitCode = failed === 0 ? 0 : 1;
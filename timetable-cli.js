@@ -0,0 +1,670 @@
+#!/usr/bin/env node
+
+/**
+ * Timetable CLI for Veer Patta Public School Timetable
+ * Parses a timetable file with the same engine the app uses (scripts/engine.js),
+ * prints parser diagnostics and validation results, and can generate a
+ * substitution plan for one day or week. `node timetable-cli.js --help` lists the options.
+ *
+ * Examples:
+ *   node timetable-cli.js
+ *   node timetable-cli.js data/timetable.csv --day Monday --absent "Bindu,Ravina"
+ *   node timetable-cli.js --date 2026-11-05 --leaves leaves.json --week
+ */
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./scripts/engine.js');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, 'data', 'timetable.csv');
+const DEFAULT_TIMINGS_FILE = path.join(__dirname, 'data', 'timetable-timings.json');
+const DEFAULT_RULES_FILE = path.join(__dirname, 'data', 'timetable-rules.json');
+const DEFAULT_CALENDAR_FILE = path.join(__dirname, 'data', 'timetable-calendar.json');
+const DEFAULT_STAFF_FILE = path.join(__dirname, 'data', 'timetable-staff.json');
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const USAGE = 'Usage: node timetable-cli.js [file] [--day <Weekday> | --date YYYY-MM-DD] [--absent "Name,Name@5-"] [--timings <file>] [--calendar <file>] [--rules <file>] [--no-rules] [--date-overrides <file>] [--leaves <file>] [--scoring <file>] [--availability <file>] [--staff <file>] [--history <file>] [--report YYYY-MM] [--week] [--greedy] [--json] [--verbose]';
+const HELP = `${USAGE}
+
+  file                     Timetable CSV (default data/timetable.csv)
+  --day <Weekday>          Plan for this weekday
+  --date YYYY-MM-DD        Plan for this date (default today); picks the bell times, calendar day and rules in effect
+  --absent "Name,..."      Absent teachers. A name may carry a part-day window: "Bindu@5-" (Period 5 onwards),
+                           "Ravina@-2" (up to Period 2), "Asha@3-4", "Asha@11:30 AM-" or "Asha@-9:50 AM".
+                           Outside the window the teacher keeps their own periods and can cover for others.
+  --timings <file>         Timing profiles in place of data/timetable-timings.json
+  --calendar <file>        Academic calendar in place of data/timetable-calendar.json
+  --rules <file>           Override rules in place of data/timetable-rules.json
+  --no-rules               Skip the override rules
+  --date-overrides <file>  One-off changes (a JSON array like the app's saved ones) in effect on --date
+  --leaves <file>          Leave records ({ teacher, from, to }); teachers on leave on --date are added to the absent list
+  --scoring <file>         Scoring settings saved from the app's Scoring sheet; parts left out keep the defaults
+  --availability <file>    Teacher availability rules in place of the built-in Mahesh and Anjana windows
+  --staff <file>           Staff roster in place of data/timetable-staff.json; aliases read as roster names,
+                           and staff marked "substitutes": false are never offered as cover
+  --history <file>         Saved plans (a JSON array of { date, plan }) for the weekly cover cap and fair sharing
+  --report YYYY-MM         Monthly coverage report from --history: absences, covers taken and slots left open
+  --week                   Plan each school day of the week of --date and list the open slots;
+                           each planned day counts towards the caps of the days after it
+  --greedy                 Print the first-pick plan the solver is compared with, in place of the solver's
+  --json                   Print the parsed data, checks and plan as JSON
+  --verbose                Also list bell times, changed cells, availability rules, warnings and notes
+  --help, -h               Show this help`;
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+  const options = {
+    file: DEFAULT_DATA_FILE,
+    timings: null,
+    calendar: null,
+    rules: null,
+    noRules: false,
+    staff: null,
+    dateOverrides: null,
+    leaves: null,
+    week: false,
+    month: null,
+    day: null,
+    date: null,
+    absent: [],
+    greedy: false,
+    json: false,
+    verbose: false,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const readValue = () => {
+      const value = argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return value;
+    };
+
+    if (arg === '--day') {
+      options.day = readValue();
+    } else if (arg === '--date') {
+      options.date = readValue();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(options.date)) {
+        throw new Error(`--date must look like 2026-10-19, got "${options.date}"`);
+      }
+    } else if (arg === '--timings') {
+      options.timings = path.resolve(readValue());
+    } else if (arg === '--calendar') {
+      options.calendar = path.resolve(readValue());
+    } else if (arg === '--rules') {
+      options.rules = path.resolve(readValue());
+    } else if (arg === '--no-rules') {
+      options.noRules = true;
+    } else if (arg === '--date-overrides') {
+      options.dateOverrides = path.resolve(readValue());
+    } else if (arg === '--leaves') {
+      options.leaves = path.resolve(readValue());
+    } else if (arg === '--scoring') {
+      options.scoring = path.resolve(readValue());
+    } else if (arg === '--availability') {
+      options.availability = path.resolve(readValue());
+    } else if (arg === '--staff') {
+      options.staff = path.resolve(readValue());
+    } else if (arg === '--history') {
+      options.history = path.resolve(readValue());
+    } else if (arg === '--report') {
+      options.month = readValue();
+      if (!/^\d{4}-\d{2}$/.test(options.month)) {
+        throw new Error(`--report must look like 2026-11, got "${options.month}"`);
+      }
+    } else if (arg === '--week') {
+      options.week = true;
+    } else if (arg === '--absent') {
+      options.absent.push(...readValue().split(',').map(name => name.trim()).filter(Boolean).map(parseAbsence));
+    } else if (arg === '--greedy') {
+      options.greedy = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.file = path.resolve(arg);
+    }
+  }
+
+  // A date implies its weekday unless --day says otherwise
+  if (options.date && !options.day) {
+    const [year, month, day] = options.date.split('-').map(Number);
+    options.day = WEEKDAY_NAMES[new Date(year, month - 1, day).getDay()];
+  }
+
+  if (options.absent.length > 0 && !options.day) {
+    throw new Error('--absent needs --day or --date to know which schedule to cover');
+  }
+
+  return options;
+}
+
+/**
+ * Read one --absent entry into the engine's absence shape: a name for the whole day, or
+ * { teacher, fromPeriod, toPeriod } / { teacher, from, to } for "Name@start-end"
+ */
+function parseAbsence(entry) {
+  const [teacher, range] = entry.split('@').map(part => part.trim());
+  if (range === undefined) return teacher;
+
+  const [start = '', end = ''] = range.split('-').map(part => part.trim());
+  const usesTimes = range.includes(':');
+  const readEnd = value => {
+    if (!value) return undefined;
+    const parsed = usesTimes ? engine.parseTimeLabel(value) : (/^\d+$/.test(value) ? Number(value) : null);
+    if (parsed == null) {
+      throw new Error(`Cannot read "${value}" in --absent "${entry}". Use a period number or a time such as 11:30 AM`);
+    }
+    return usesTimes ? value : parsed;
+  };
+
+  const absence = usesTimes
+    ? { teacher, from: readEnd(start), to: readEnd(end) }
+    : { teacher, fromPeriod: readEnd(start), toPeriod: readEnd(end) };
+  if (!engine.hasAbsenceWindow(absence)) {
+    throw new Error(`--absent "${entry}" needs a start or an end after @`);
+  }
+  return engine.normalizeAbsence(absence);
+}
+
+/**
+ * Read a CSV or JSON timetable file into the { text, version, updated } shape the parser expects
+ */
+function loadTimetableFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+
+  if (/\.json$/i.test(filePath)) {
+    const json = JSON.parse(content);
+    return {
+      url: filePath,
+      format: 'json',
+      text: engine.convertTimetableJsonToText(json),
+      version: json.version || '',
+      updated: json.updated || ''
+    };
+  }
+
+  const metadata = engine.readTimetableMetadata(content);
+  return { url: filePath, format: 'csv', text: content, version: metadata.version || '', updated: metadata.updated || '' };
+}
+
+/**
+ * Read timing profiles. The default file is optional; an explicit --timings file must exist.
+ */
+function loadTimingProfiles(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new Error(`Timings file not found: ${filePath}`);
+    return [];
+  }
+  return engine.normalizeTimingProfiles(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+}
+
+/**
+ * Read the academic calendar. The default file is optional; an explicit --calendar file must exist.
+ */
+function loadAcademicCalendar(filePath, required, timingProfiles) {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new Error(`Calendar file not found: ${filePath}`);
+    return null;
+  }
+  return engine.normalizeAcademicCalendar(JSON.parse(fs.readFileSync(filePath, 'utf-8')), { timingProfiles });
+}
+
+/**
+ * Read override rules. The default file is optional; an explicit --rules file must exist.
+ */
+function loadOverrideRules(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new Error(`Rules file not found: ${filePath}`);
+    return [];
+  }
+  return engine.normalizeOverrideRules(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+}
+
+/**
+ * Read the staff roster; a missing default file parses the timetable without one
+ */
+function loadStaffRoster(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new Error(`Staff roster file not found: ${filePath}`);
+    return [];
+  }
+  return engine.normalizeStaffRoster(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+}
+
+/**
+ * Read one-off date overrides from an explicit --date-overrides file
+ */
+function loadDateOverrides(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Date overrides file not found: ${filePath}`);
+  }
+  const json = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return engine.normalizeDateOverrides(Array.isArray(json) ? json : json.overrides);
+}
+
+/**
+ * Read leave records from an explicit --leaves file
+ */
+function loadLeaves(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Leaves file not found: ${filePath}`);
+  }
+  const json = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return engine.normalizeLeaves(Array.isArray(json) ? json : json.leaves);
+}
+
+/**
+ * Read substitute scoring settings from an explicit --scoring file
+ */
+function loadScoringConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Scoring settings file not found: ${filePath}`);
+  }
+  return engine.normalizeScoringConfig(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+}
+
+/**
+ * Read teacher availability rules from an explicit --availability file
+ */
+function loadAvailabilityRules(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Availability file not found: ${filePath}`);
+  }
+  const json = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return engine.normalizeAvailabilityRules(Array.isArray(json) ? json : json.rules);
+}
+
+/**
+ * Read saved substitution plans from an explicit --history file, keyed by date like the app's.
+ * Records keep their absent teachers and pick sources for --report.
+ */
+function loadSubstitutionHistory(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`History file not found: ${filePath}`);
+  }
+  const json = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const records = Array.isArray(json) ? json : json.plans || [];
+  const history = {};
+  records.forEach(record => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(record?.date || '') && record.plan) {
+      history[record.date] = {
+        date: record.date,
+        day: record.day || WEEKDAY_NAMES[new Date(`${record.date}T00:00:00`).getDay()],
+        plan: record.plan,
+        sources: record.sources || {},
+        absentTeachers: record.absentTeachers || [],
+        absenceWindows: record.absenceWindows || {}
+      };
+    }
+  });
+  return history;
+}
+
+/**
+ * Plan every day of the report date's week (Monday start). A day's absent list is its leave, plus
+ * --absent on the --date day. Bell times and override rules stay the ones prepared for the report date.
+ * Each plan joins data.substitutionHistory, so the weekly cap and fair sharing see it on later days.
+ */
+function summarizeWeek(data, calendar, leaves, options) {
+  const [year, month, day] = options.dateKey.split('-').map(Number);
+  const reportDate = new Date(year, month - 1, day);
+  const mondayOffset = (reportDate.getDay() + 6) % 7;
+
+  return data.days.map(weekday => {
+    const dateKey = toDateKey(new Date(year, month - 1, day - mondayOffset + Math.max(0, WEEKDAY_NAMES.indexOf(weekday) - 1)));
+    const calendarDay = engine.getCalendarDay(calendar, dateKey, data.days);
+    if (!calendarDay.isSchoolDay) {
+      return { day: weekday, date: dateKey, isSchoolDay: false, reason: calendarDay.reason };
+    }
+
+    const onLeave = engine.getTeachersOnLeave(leaves, dateKey, calendarDay);
+    const absent = dateKey === options.date ? options.absent : onLeave;
+    const plan = absent.length > 0 ? engine.generateSubstitutionPlan(data, weekday, absent, {}, dateKey) : null;
+    if (plan) {
+      data.substitutionHistory = { ...data.substitutionHistory, [dateKey]: { date: dateKey, plan: plan.plan } };
+    }
+    return {
+      day: weekday,
+      date: dateKey,
+      isSchoolDay: true,
+      absent: engine.getAbsentTeacherNames(absent),
+      onLeave,
+      slots: plan ? plan.vacantSlots.length : 0,
+      covered: plan ? plan.assignments.length : 0,
+      open: plan ? plan.unfilled.length : 0
+    };
+  });
+}
+
+/**
+ * Monthly coverage report from the saved plans. Each day's absent list is its picked teachers, with
+ * their part-day windows, plus anyone on leave that date.
+ */
+function summarizeMonth(data, calendar, history, leaves, month) {
+  const records = Object.values(history).map(record => {
+    const onLeave = engine.getTeachersOnLeave(leaves, record.date, engine.getCalendarDay(calendar, record.date, data.days));
+    const absentTeachers = [...new Set([...record.absentTeachers, ...onLeave])];
+    return {
+      ...record,
+      absences: absentTeachers.map(teacher => (
+        record.absenceWindows[teacher] ? { teacher, ...record.absenceWindows[teacher] } : teacher
+      ))
+    };
+  });
+  return engine.summarizeSubstitutionMonth(engine.buildSubstitutionLedger(data, records), month);
+}
+
+function toDateKey(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Describe where a diagnostic points, e.g. "line 12, cell 3 (Monday)"
+ */
+function describeLocation(diagnostic) {
+  const parts = [];
+  if (diagnostic.line) parts.push(`line ${diagnostic.line}`);
+  if (diagnostic.column) parts.push(`cell ${diagnostic.column}`);
+  const location = parts.join(', ') || 'file';
+  return diagnostic.day ? `${location} (${diagnostic.day})` : location;
+}
+
+function countBySeverity(diagnostics, severity) {
+  return diagnostics.filter(item => item.severity === severity).length;
+}
+
+/**
+ * Print the human-readable report
+ */
+function printReport(source, data, validation, substitution, rules, options) {
+  const relativeFile = path.relative(process.cwd(), source.url) || source.url;
+  const stamp = [source.version && `version ${source.version}`, source.updated && `updated ${source.updated}`]
+    .filter(Boolean)
+    .join(', ');
+
+  console.log(`\nTimetable: ${relativeFile}${stamp ? ` (${stamp})` : ''}`);
+  console.log(`Days: ${data.days.length} · Classes: ${data.classNames.length} · Teachers: ${data.teacherNames.length} · Periods: ${data.periodHeaders.length}`);
+  if (data.roomNames.length > 0) {
+    console.log(`Rooms: ${data.roomNames.join(', ')}`);
+  }
+  if (data.staffRoster.length > 0) {
+    const keptOff = data.staffRoster.filter(member => !member.substitutes).map(member => member.name);
+    console.log(`Staff roster: ${data.staffRoster.length} people${keptOff.length ? `; not substituting: ${keptOff.join(', ')}` : ''}`);
+  }
+  Object.entries(data.teacherAliases).forEach(([teacher, aliases]) => {
+    console.log(`${teacher} also appears as ${aliases.join(', ')}`);
+  });
+  const timing = data.timingProfile;
+  const timingRange = timing && timing.from ? ` (${timing.from} to ${timing.to})` : '';
+  const calendarDay = options.calendarDay;
+  const calendarNotes = calendarDay.events.map(event => `${event.type}: ${event.name}`).join(', ');
+  console.log(`Calendar on ${options.dateKey}: ${calendarDay.isSchoolDay
+    ? `${calendarDay.weekday}, school day${calendarNotes ? ` (${calendarNotes})` : ''}`
+    : `no school (${calendarDay.reason}); next school day is ${options.nextSchoolDay ? `${options.nextSchoolDay.weekday} ${options.nextSchoolDay.dateKey}` : 'not in the calendar'}`}`);
+  console.log(`Timings on ${options.dateKey}: ${timing ? `${timing.name}${timingRange}` : 'timetable file'}`);
+  if (options.verbose) {
+    data.periodHeaders.forEach(header => console.log(`  ${header.name.padEnd(9)} ${header.time}`));
+  }
+
+  const overrides = data.overrides || [];
+  console.log(`Override rules: ${options.noRules ? 'skipped (--no-rules)' : `${overrides.length} periods changed by ${rules.filter(rule => engine.isOverrideRuleActive(rule, options.dateKey)).length} of ${rules.length} rules`}`);
+  if (options.verbose) {
+    overrides.forEach(item => {
+      const periodName = data.periodHeaders[item.periodIndex]?.name || `Period ${item.periodIndex + 1}`;
+      const was = `${item.original.subject}${item.original.teacher ? ` (${item.original.teacher})` : ''}`;
+      console.log(`  ${item.day.padEnd(9)} ${periodName.padEnd(9)} ${item.className.padEnd(18)} ${was} → ${item.subject}${item.teacher ? ` (${item.teacher})` : ''} [${item.ruleId}]`);
+    });
+  }
+
+  if (options.dateOverrides) {
+    const dated = options.day ? engine.getDateOverridesForDate(data, options.day, options.date) : [];
+    console.log(`One-off changes on ${options.dateKey}: ${dated.length} of ${data.dateOverrides.length}${options.date ? '' : ' (pass --date to apply them)'}`);
+    if (options.verbose) {
+      dated.forEach(item => {
+        const periodNames = item.periods.map(periodIndex => data.periodHeaders[periodIndex]?.name || `Period ${periodIndex + 1}`).join(', ');
+        console.log(`  ${item.className.padEnd(18)} ${periodNames} → ${item.subject}${item.teacher ? ` (${item.teacher})` : ''}${item.note ? ` [${item.note}]` : ''}`);
+      });
+    }
+  }
+
+  if (data.scoringConfig) {
+    const { weights, caps, reliability, subjectFamilies, releasableSubjects } = data.scoringConfig;
+    const adjustments = Object.keys(reliability).length;
+    const capLabel = (limit, unit) => (limit > 0 ? `${limit} ${unit}` : `no ${unit} cap`);
+    console.log(`Scoring: subject ${weights.subjectMatch}, grade ${weights.gradeMatch}, workload ${weights.workload}, availability ${weights.availability}, fairness ${weights.fairness} · ${adjustments} reliability adjustment${adjustments === 1 ? '' : 's'} · ${subjectFamilies.length} subject ${subjectFamilies.length === 1 ? 'family' : 'families'}`);
+    console.log(`Load caps: ${capLabel(caps.perDay, 'per day')}, ${capLabel(caps.perWeek, 'per week')}, ${capLabel(caps.consecutive, 'in a row')}`);
+    console.log(`Releasable duties: ${releasableSubjects.length > 0 ? releasableSubjects.join(', ') : 'none'}`);
+  }
+
+  if (options.savedPlanDates) {
+    const dateKeys = options.savedPlanDates;
+    console.log(`Saved plans: ${dateKeys.length}${dateKeys.length ? ` (${dateKeys[0]} to ${dateKeys[dateKeys.length - 1]})` : ''}`);
+  }
+
+  if (data.availabilityRules) {
+    const dated = options.day ? data.availabilityRules.filter(rule => rule.from && engine.isAvailabilityRuleActive(rule, options.day, options.date)) : [];
+    console.log(`Availability rules: ${data.availabilityRules.length}${dated.length ? ` (${dated.length} dated exception${dated.length === 1 ? '' : 's'} on ${options.dateKey})` : ''}`);
+    if (options.verbose) {
+      data.availabilityRules.forEach(rule => {
+        const scope = [rule.from && (rule.from === rule.to ? rule.from : `${rule.from} to ${rule.to}`), rule.days.join(', ')].filter(Boolean).join(' ') || 'every day';
+        console.log(`  ${rule.teacher.padEnd(12)} ${scope}: ${engine.formatAvailabilityWindow(data, rule)}${rule.reason ? ` [${rule.reason}]` : ''}`);
+      });
+    }
+  }
+
+  const diagnostics = data.diagnostics || [];
+  const shownDiagnostics = options.verbose ? diagnostics : diagnostics.filter(item => item.severity !== 'info');
+  console.log(`\nData check: ${countBySeverity(diagnostics, 'error')} errors, ${countBySeverity(diagnostics, 'warning')} warnings, ${countBySeverity(diagnostics, 'info')} notes`);
+  shownDiagnostics.forEach(item => {
+    console.log(`  [${item.severity}] ${describeLocation(item)}: ${item.message}`);
+  });
+
+  console.log(`\nValidation: ${validation.ok ? 'OK' : 'FAILED'} (${validation.errors.length} errors, ${validation.warnings.length} warnings)`);
+  validation.errors.forEach(message => console.log(`  ✗ ${message}`));
+  if (options.verbose) {
+    validation.warnings.forEach(message => console.log(`  ⚠ ${message}`));
+  } else if (validation.warnings.length > 0 || shownDiagnostics.length < diagnostics.length) {
+    console.log('  Run with --verbose to list warnings and notes.');
+  }
+
+  if (options.weekSummary) {
+    console.log(`\nWeek of ${options.weekSummary[0]?.date || options.dateKey}:`);
+    options.weekSummary.forEach(item => {
+      const label = `${item.day.slice(0, 3)} ${item.date}`;
+      if (!item.isSchoolDay) {
+        console.log(`  ${label}  no school (${item.reason})`);
+      } else if (item.absent.length === 0) {
+        console.log(`  ${label}  no absences`);
+      } else {
+        const absentNames = item.absent.map(teacher => (item.onLeave.includes(teacher) ? `${teacher} (leave)` : teacher));
+        console.log(`  ${label}  ${item.slots} slots, ${item.covered} covered, ${item.open} open (absent: ${absentNames.join(', ')})`);
+      }
+    });
+    const weekOpen = options.weekSummary.reduce((total, item) => total + (item.open || 0), 0);
+    console.log(`  ${weekOpen} open slot${weekOpen === 1 ? '' : 's'} this week.`);
+  }
+
+  if (options.monthReport) {
+    const { totals, teachers, rows } = options.monthReport;
+    console.log(`\nSubstitution report for ${options.month}: ${totals.days} day${totals.days === 1 ? '' : 's'}, ${totals.slots} slot${totals.slots === 1 ? '' : 's'}, ${totals.covered} covered (${totals.auto} auto, ${totals.manual} manual${totals.merged ? `, ${totals.merged} merged` : ''}${totals.swapped ? `, ${totals.swapped} swapped` : ''}${totals.released ? `, ${totals.released} released from duties` : ''}), ${totals.uncovered} open${options.history ? '' : ' (pass --history to read saved plans)'}`);
+    if (teachers.length > 0) {
+      console.log(`  ${'Teacher'.padEnd(12)} ${'Days absent'.padEnd(12)} ${'Periods'.padEnd(8)} ${'Covers'.padEnd(7)} Open`);
+    }
+    teachers.forEach(entry => {
+      console.log(`  ${entry.teacher.padEnd(12)} ${String(entry.daysAbsent).padEnd(12)} ${String(entry.periodsAbsent).padEnd(8)} ${String(entry.covered).padEnd(7)} ${entry.uncovered}`);
+    });
+    if (options.verbose) {
+      rows.forEach(row => {
+        let picked = row.source ? ` [${row.source}]` : '';
+        if (row.mergedWith) picked = ` [merged with ${row.mergedWith}]`;
+        if (row.releasedDuty) picked = ` [released from ${row.releasedDuty}]`;
+        console.log(`  ${row.date} ${row.periodName.padEnd(9)} ${row.className.padEnd(18)} ${`${row.subject} (${row.absentTeacher})`.padEnd(28)} → ${row.substitute || 'Not covered'}${picked}`);
+      });
+    }
+  }
+
+  if (!substitution) {
+    console.log('');
+    return;
+  }
+
+  const absentLabels = options.absent.map(absence => {
+    const windowLabel = engine.formatAbsenceWindow(data, absence);
+    const { teacher } = engine.normalizeAbsence(absence);
+    if (options.onLeave.includes(teacher)) return `${teacher} (leave)`;
+    return windowLabel ? `${teacher} (${windowLabel})` : teacher;
+  });
+  console.log(`\nSubstitution plan${options.greedy ? ' (first pick)' : ''}: ${options.day} (absent: ${absentLabels.join(', ')})`);
+  if (substitution.vacantSlots.length === 0 && substitution.partial.length === 0) {
+    console.log('  The absent teachers have no classes to cover on this day.');
+    console.log('');
+    return;
+  }
+
+  // Shared slots (e.g. a group period) appear once per absent teacher, so list slots rather than plan keys
+  const shown = options.greedy ? substitution.greedy : substitution;
+  const rows = [...shown.assignments, ...shown.unfilled, ...substitution.partial]
+    .sort((a, b) => a.periodIndex - b.periodIndex || a.className.localeCompare(b.className));
+  rows.forEach(slot => {
+    const periodName = data.periodHeaders[slot.periodIndex]?.name || `Period ${slot.periodIndex + 1}`;
+    const release = slot.releasableOptions?.[0];
+    const merge = slot.mergeOptions?.[0];
+    let cover = 'No free teacher';
+    if (slot.substitute) {
+      cover = `${slot.substitute} (score ${slot.score}: ${slot.reason})`;
+    } else if (slot.partial) {
+      cover = `Kept by the group (${slot.presentTeachers.join(', ')})`;
+    } else if (release) {
+      cover += `; release ${release.teacher} from ${release.releasedDuty}`;
+    } else if (merge) {
+      cover += `; merge with ${merge.hostClass} under ${merge.teacher}`;
+    }
+    console.log(`  ${periodName.padEnd(9)} ${slot.className.padEnd(18)} ${`${slot.subject} (${slot.originalTeacher})`.padEnd(28)} → ${cover}`);
+  });
+  console.log(`\nCovered ${shown.assignments.length} of ${shown.vacantSlots.length} slots${substitution.partial.length ? `; ${substitution.partial.length} group period${substitution.partial.length === 1 ? '' : 's'} kept by the other teachers` : ''}.`);
+
+  const { comparison } = substitution;
+  const gain = comparison.extraCovered > 0
+    ? `${comparison.extraCovered} more slots covered`
+    : comparison.scoreGain > 0 ? `same cover, +${comparison.scoreGain} score` : 'no difference';
+  console.log(`Solver vs first pick: ${comparison.covered} vs ${comparison.greedyCovered} distinct slots, score ${substitution.totalScore} vs ${substitution.greedy.totalScore} (${gain}${comparison.method === 'first-pick' ? '; first pick kept' : ''}).\n`);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(HELP);
+    return 0;
+  }
+
+  // Keep the parser's progress logging out of the report; errors still reach stderr
+  engine.setLogger({ log() {}, info() {}, warn() {}, error: console.error });
+
+  const source = loadTimetableFile(options.file);
+  const data = engine.parseTimetableData(source, { roster: loadStaffRoster(options.staff || DEFAULT_STAFF_FILE, Boolean(options.staff)) });
+
+  // Same start-up sequence as the app: bell times for the date, override rules, then validation
+  options.dateKey = options.date || toDateKey();
+  const timingProfiles = loadTimingProfiles(options.timings || DEFAULT_TIMINGS_FILE, Boolean(options.timings));
+  const calendar = loadAcademicCalendar(options.calendar || DEFAULT_CALENDAR_FILE, Boolean(options.calendar), timingProfiles);
+  options.calendarDay = engine.getCalendarDay(calendar, options.dateKey, data.days);
+  options.nextSchoolDay = options.calendarDay.isSchoolDay ? null : engine.findSchoolDay(calendar, options.dateKey, data.days);
+  const timingProfile = engine.resolveTimingProfile(timingProfiles, options.dateKey, options.calendarDay.timingProfileId);
+  if (!timingProfile || !engine.applyTimingProfile(data, timingProfile)) {
+    engine.applyTimingProfile(data, engine.createTimingProfileFromHeaders(data.periodHeaders));
+  }
+  const rules = options.noRules ? [] : loadOverrideRules(options.rules || DEFAULT_RULES_FILE, Boolean(options.rules));
+  engine.applyOverrideRules(data, rules, { dateKey: options.dateKey });
+  data.dateOverrides = options.dateOverrides ? loadDateOverrides(options.dateOverrides) : [];
+  data.scoringConfig = options.scoring ? loadScoringConfig(options.scoring) : null;
+  data.availabilityRules = options.availability ? loadAvailabilityRules(options.availability) : null;
+  data.substitutionHistory = options.history ? loadSubstitutionHistory(options.history) : {};
+  options.savedPlanDates = options.history ? Object.keys(data.substitutionHistory).sort() : null;
+  const validation = engine.validateTimetable(data);
+
+  // Leave only applies to a known date: teachers on leave then are absent for the whole day
+  const leaves = options.leaves ? loadLeaves(options.leaves) : [];
+  options.onLeave = options.date ? engine.getTeachersOnLeave(leaves, options.date, options.calendarDay) : [];
+  const pickedTeachers = engine.getAbsentTeacherNames(options.absent);
+  options.absent.push(...options.onLeave.filter(teacher => !pickedTeachers.includes(teacher)));
+  options.monthReport = options.month ? summarizeMonth(data, calendar, data.substitutionHistory, leaves, options.month) : null;
+  options.weekSummary = options.week ? summarizeWeek(data, calendar, leaves, options) : null;
+
+  let substitution = null;
+  if (options.day) {
+    if (!data.days.includes(options.day)) {
+      throw new Error(`Unknown day "${options.day}". Expected one of: ${data.days.join(', ')}`);
+    }
+
+    const unknownTeachers = engine.getAbsentTeacherNames(options.absent).filter(name => !data.teacherNames.includes(name));
+    if (unknownTeachers.length > 0) {
+      throw new Error(`Unknown teacher(s): ${unknownTeachers.join(', ')}`);
+    }
+
+    if (options.absent.length > 0) {
+      substitution = engine.generateSubstitutionPlan(data, options.day, options.absent, {}, options.date);
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      file: source.url,
+      version: source.version,
+      updated: source.updated,
+      date: options.dateKey,
+      calendarDay: options.calendarDay,
+      timingProfile: data.timingProfile,
+      periodHeaders: data.periodHeaders,
+      overrides: data.overrides || [],
+      dateOverrides: options.date ? engine.getDateOverridesForDate(data, options.day, options.date) : [],
+      onLeave: options.onLeave,
+      week: options.weekSummary,
+      report: options.monthReport,
+      scoring: data.scoringConfig || engine.DEFAULT_SCORING_CONFIG,
+      staffRoster: data.staffRoster,
+      teacherAliases: data.teacherAliases,
+      roomNames: data.roomNames,
+      diagnostics: data.diagnostics,
+      validation,
+      substitution: substitution && {
+        day: options.day,
+        absentTeachers: options.absent,
+        plan: substitution.plan,
+        assignments: substitution.assignments,
+        unfilled: substitution.unfilled,
+        totalScore: substitution.totalScore,
+        comparison: substitution.comparison,
+        greedy: {
+          plan: substitution.greedy.plan,
+          assignments: substitution.greedy.assignments,
+          unfilled: substitution.greedy.unfilled,
+          totalScore: substitution.greedy.totalScore
+        }
+      }
+    }, null, 2));
+  } else {
+    printReport(source, data, validation, substitution, rules, options);
+  }
+
+  const parserErrors = countBySeverity(data.diagnostics || [], 'error');
+  return parserErrors > 0 || !validation.ok ? 1 : 0;
+}
+
+// Run CLI
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error(USAGE);
+  process.exitCode = 2;
+}